@@ -1,15 +1,50 @@
 // content-script.js
 // Handles highlights, persistence, and "smart toggle" behavior (fixed version).
-// - Selection entirely highlighted => unwraps intersecting spans.
+// - Selection entirely highlighted => removes highlighting from just the selected text.
 // - Selection partially highlighted => applies new highlight to full selection.
 // - Selection not highlighted => applies highlight.
 // - 'clearAll' removes all highlights and storage.
+// - Clicking a highlight opens an in-page editor for its plain-text note and
+//   tags; tooltips also show the label given to its color (highlight-tags.js).
+// - Right-click menu actions (recolor, note, copy, remove) target the
+//   highlight under the pointer (see "context menu").
 // - Toggle now works for all highlights, old or new, stable across reloads.
+// - Records are anchored by position, quote context and DOM path (see "anchoring").
+// - Follows client-side navigation and late-loading content (see "routes and late content").
+// - Records that cannot be placed are kept as orphans, never silently dropped.
+// - Apply, remove, recolor and clear-all can be undone and redone (see "history").
+// - Removed highlights and cleared pages go to the trash (highlight-trash.js).
+// - An in-page navigator lists and jumps between highlights (see "navigator").
+// - Highlights are an in-memory interval model drawn by a per-site renderer:
+//   DOM spans or the CSS Custom Highlight API (see "renderers").
+// - Each highlight has a style (background, underline, wavy underline, outline
+//   or text color) whose text color is kept readable (see "contrast").
+// - Records are stored one entry each (highlight-store.js): edits write only
+//   what changed, and a full storage is reported instead of dropping records.
+// - Auto-highlight rules paint keyword and pattern matches in a layer of their
+//   own that is never stored (see "auto-highlight rules").
+// - Share links show someone else's highlights until they are saved or
+//   dismissed (see "shared highlights").
+// - Pen mode highlights every mouse selection as it is made (see "pen mode").
 
 (function () {
   const STORAGE_PREFIX = 'highlights::';
+  const PREF_KEY = 'highlighter_prefs_v1';
   const HIGHLIGHT_CLASS = '__safe_ext_highlight_v1';
-  const MAX_PERSISTED_PER_PAGE = 300;
+  const QUOTE_CONTEXT_CHARS = 32;
+  const MAX_NOTE_LENGTH = 2000;
+  const RETRY_DELAY_MS = 400;
+  const MAX_RETRY_DELAY_MS = 6400;
+  const ORPHAN_GRACE_MS = 5000;
+  const HISTORY_PREFIX = 'history::';
+  const MAX_HISTORY_STEPS = 50;
+  const REMOVE_LABEL = 'Remove highlight';
+  // record fields that are not derived from the DOM and must survive a re-persist
+  const RECORD_METADATA_FIELDS = ['note', 'tags'];
+  // how a highlight is drawn; records without a style are backgrounds
+  const HIGHLIGHT_STYLES = ['background', 'underline', 'wavy', 'outline', 'text'];
+  const DEFAULT_STYLE = 'background';
+  const SKIPPED_TEXT_PARENTS = ['SCRIPT', 'STYLE', 'NOSCRIPT'];
 
   function isValidHexColor(c) {
     return /^#([0-9A-Fa-f]{3}|[0-9A-Fa-f]{6})$/.test(c);
@@ -19,231 +54,2735 @@
     return 'h_' + Math.random().toString(36).slice(2, 9);
   }
 
+  // per-site URL rules from the prefs (see highlight-keys.js)
+  let keyRules = {};
+
+  function canonicalHref() {
+    const link = document.querySelector('link[rel~="canonical"][href]');
+    return link ? link.href : null;
+  }
+
   function storageKey() {
-    return STORAGE_PREFIX + location.origin + '::' + location.pathname;
+    return HighlightKeys.keyForUrl(location.href, keyRules, canonicalHref())
+      || STORAGE_PREFIX + location.origin + '::' + location.pathname;
+  }
+
+  // key of the route whose highlights are on the page; follows client-side
+  // navigation (see "routes and late content") and the URL rules instead of
+  // being recomputed
+  let activeKey = storageKey();
+  // records of the active route that could not be placed yet
+  let pending = [];
+
+  function readHighlightsArray() {
+    return HighlightStore.readPage(activeKey);
+  }
+
+  // previous is the page as last read, so only changed records are written;
+  // when storage is out of room it rejects with an Error whose message is
+  // HighlightStore.FULL (see errorCode)
+  function saveHighlightsArray(arr, previous) {
+    return HighlightStore.writePage(activeKey, arr, previous);
+  }
+
+  // ---------- anchoring ----------
+  // A record is anchored by three selectors, tried in this order on reload:
+  //   1. text position: `start`/`end` offsets into the page's flattened text,
+  //      accepted only when the text at that offset still equals the quote;
+  //   2. text quote: `text` plus `prefix`/`suffix` context, scored against
+  //      every occurrence so repeated phrases resolve to the right one;
+  //   3. DOM path hint: `path` of the enclosing element plus `pathOffset`
+  //      into its text, used when the context does not settle it.
+  // Highlight spans only wrap text, so the flattened text is the same with
+  // or without our spans in the page.
+
+  function isIndexableText(node) {
+    if (!node.nodeValue) return false;
+    const parent = node.parentElement;
+    // text placed straight into a shadow root has no parent element
+    if (!parent) return !!node.parentNode && node.parentNode.nodeType === Node.DOCUMENT_FRAGMENT_NODE;
+    return SKIPPED_TEXT_PARENTS.indexOf(parent.tagName) === -1;
+  }
+
+  function isHighlightElement(el) {
+    return !!(el && el.classList && el.classList.contains(HIGHLIGHT_CLASS));
+  }
+
+  // ---------- shadow roots ----------
+  // Web components keep their text in shadow trees, which TreeWalkers,
+  // querySelectorAll and Ranges do not cross. Open shadow roots are read where
+  // their host is (see buildTextIndex), remembered here so our spans inside
+  // them can be found again, and watched for late content like the page.
+  // Closed shadow roots (our own navigator and note boxes among them) stay
+  // out of reach.
+
+  const shadowRoots = new Set();
+
+  function noteShadowRoot(root) {
+    if (shadowRoots.has(root)) return;
+    shadowRoots.add(root);
+    observer.observe(root, OBSERVED_CHANGES);
+  }
+
+  // the open shadow roots seen so far that are still in the page
+  function liveShadowRoots() {
+    shadowRoots.forEach(root => {
+      if (!root.host.isConnected) shadowRoots.delete(root);
+    });
+    return Array.from(shadowRoots);
+  }
+
+  // elements matching selector in the page and in its open shadow roots
+  function queryAllRoots(selector) {
+    const found = Array.from(document.querySelectorAll(selector));
+    liveShadowRoots().forEach(root => found.push(...root.querySelectorAll(selector)));
+    return found;
+  }
+
+  // the element an event happened on, inside open shadow roots too (events
+  // seen at the document are retargeted to the shadow host)
+  function eventTarget(e) {
+    const path = e.composedPath ? e.composedPath() : [];
+    return path.length ? path[0] : e.target;
+  }
+
+  // The selected range. The document's selection stops at shadow hosts, so it
+  // is asked for again through the open shadow roots where the browser
+  // supports that (getComposedRanges, giving a StaticRange). null when
+  // nothing is selected. index is the action's text index, if it has one.
+  function selectionRange(index) {
+    const sel = window.getSelection();
+    if (!sel || !sel.rangeCount) return null;
+    if (!index) buildTextIndex(document.body); // finds the open shadow roots
+    const roots = liveShadowRoots();
+    if (roots.length && typeof sel.getComposedRanges === 'function') {
+      try {
+        const composed = sel.getComposedRanges({ shadowRoots: roots })[0];
+        if (composed && !composed.collapsed) return composed;
+      } catch (e) {
+        // older signature or detached roots; the plain range still works outside them
+      }
+    }
+    return sel.isCollapsed ? null : sel.getRangeAt(0).cloneRange();
+  }
+
+  // the selected range when it holds more than whitespace, else null
+  function readSelection(index) {
+    const range = selectionRange(index);
+    if (!range) return null;
+    const { start, end } = rangeOffsets(index, range);
+    return index.text.slice(start, end).trim() ? range : null;
+  }
+
+  // Flattens the text under root into one string plus per-node offsets. An
+  // open shadow root is read in place of its host's children, and the
+  // children a <slot> shows are read at the slot, so the text comes in the
+  // order it is rendered.
+  function buildTextIndex(root) {
+    const nodes = [];
+    const parts = [];
+    let total = 0;
+
+    const addText = node => {
+      nodes.push({ node, start: total, end: total + node.nodeValue.length });
+      parts.push(node.nodeValue);
+      total += node.nodeValue.length;
+    };
+    // reads what a shadow host or a filled slot shows; false for other elements
+    const expand = el => {
+      if (el.shadowRoot) {
+        noteShadowRoot(el.shadowRoot);
+        walk(el.shadowRoot);
+        return true;
+      }
+      if (el.localName === 'slot' && typeof el.assignedNodes === 'function') {
+        const shown = el.assignedNodes();
+        if (!shown.length) return false;
+        shown.forEach(visit);
+        return true;
+      }
+      return false;
+    };
+    const visit = node => {
+      if (node.nodeType === Node.TEXT_NODE) {
+        if (isIndexableText(node)) addText(node);
+      } else if (node.nodeType === Node.ELEMENT_NODE && !expand(node)) {
+        walk(node);
+      }
+    };
+    function walk(scope) {
+      const walker = document.createTreeWalker(scope, NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_TEXT, {
+        acceptNode(node) {
+          if (node.nodeType === Node.TEXT_NODE) {
+            return isIndexableText(node) ? NodeFilter.FILTER_ACCEPT : NodeFilter.FILTER_REJECT;
+          }
+          return expand(node) ? NodeFilter.FILTER_REJECT : NodeFilter.FILTER_SKIP;
+        }
+      });
+      let node;
+      while (node = walker.nextNode()) addText(node);
+    }
+
+    walk(root);
+    return { nodes, text: parts.join('') };
+  }
+
+  // position in index.nodes of the first entry whose text ends after offset
+  function entryAt(index, offset) {
+    let lo = 0;
+    let hi = index.nodes.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (index.nodes[mid].end <= offset) lo = mid + 1;
+      else hi = mid;
+    }
+    return lo;
+  }
+
+  // position in index.nodes of a text node's entry, or -1
+  function positionOf(index, node) {
+    if (!index.positions) index.positions = new Map(index.nodes.map((n, i) => [n.node, i]));
+    const at = index.positions.get(node);
+    return at === undefined ? -1 : at;
+  }
+
+  // character offset of a DOM boundary point within the index
+  function textOffsetOf(index, container, offset) {
+    const at = container.nodeType === Node.TEXT_NODE ? positionOf(index, container) : -1;
+    if (at !== -1) {
+      const entry = index.nodes[at];
+      return entry.start + Math.min(offset, entry.end - entry.start);
+    }
+    // the first indexed text after the point; only text in the point's own
+    // tree can be compared with it
+    const root = container.getRootNode();
+    const point = document.createRange();
+    point.setStart(container, offset);
+    let total = 0;
+    for (const n of index.nodes) {
+      if (n.node.getRootNode() !== root) continue;
+      if (n.node === container || point.comparePoint(n.node, 0) >= 0) return n.start;
+      total = n.end;
+    }
+    return total;
+  }
+
+  // The text between two offsets as Ranges, one per stretch that stays in one
+  // tree (a Range cannot reach into or out of a shadow root). Usually one.
+  function rangesFromOffsets(index, start, end) {
+    const runs = [];
+    for (let i = entryAt(index, start); i < index.nodes.length && index.nodes[i].start < end; i++) {
+      const n = index.nodes[i];
+      const root = n.node.getRootNode();
+      const last = runs[runs.length - 1];
+      if (last && last.root === root) last.to = n;
+      else runs.push({ root, from: n, to: n });
+    }
+    return runs.map(run => {
+      const range = document.createRange();
+      range.setStart(run.from.node, Math.max(start, run.from.start) - run.from.start);
+      range.setEnd(run.to.node, Math.min(end, run.to.end) - run.to.start);
+      return range;
+    });
+  }
+
+  // offsets of the indexed text inside an element (null when it has none);
+  // at is the position of an entry known to be inside it, when there is one
+  function elementTextSpan(index, el, at) {
+    if (at === undefined) {
+      const walker = document.createTreeWalker(el, NodeFilter.SHOW_TEXT);
+      let node;
+      at = -1;
+      while (at === -1 && (node = walker.nextNode())) at = positionOf(index, node);
+      if (at === -1) return null;
+    }
+    let first = at;
+    let last = at;
+    while (first > 0 && el.contains(index.nodes[first - 1].node)) first--;
+    while (last < index.nodes.length - 1 && el.contains(index.nodes[last + 1].node)) last++;
+    return { start: index.nodes[first].start, end: index.nodes[last].end };
+  }
+
+  // closest element around a text node that is part of the page itself
+  function hostElementOf(node) {
+    let el = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+    while (isHighlightElement(el)) el = el.parentElement;
+    return el;
+  }
+
+  // "div[2]/p[3]" style path from body, ignoring our own spans when counting
+  function domPathHint(el) {
+    const parts = [];
+    while (el && el !== document.body && el.parentElement) {
+      let nth = 1;
+      for (let s = el.previousElementSibling; s; s = s.previousElementSibling) {
+        if (s.tagName === el.tagName && !isHighlightElement(s)) nth++;
+      }
+      parts.unshift(el.tagName.toLowerCase() + '[' + nth + ']');
+      el = el.parentElement;
+    }
+    return el === document.body ? parts.join('/') : null;
+  }
+
+  function resolveDomPathHint(path) {
+    if (typeof path !== 'string') return null;
+    let el = document.body;
+    for (const part of path.split('/').filter(Boolean)) {
+      const m = /^([a-z0-9-]+)\[(\d+)\]$/.exec(part);
+      if (!m) return null;
+      let nth = parseInt(m[2], 10);
+      let next = null;
+      for (let c = el.firstElementChild; c; c = c.nextElementSibling) {
+        if (c.tagName.toLowerCase() === m[1] && !isHighlightElement(c) && --nth === 0) { next = c; break; }
+      }
+      if (!next) return null;
+      el = next;
+    }
+    return el;
+  }
+
+  // build the selectors stored with a record for text[start, end)
+  function describeOffsets(index, start, end) {
+    const text = index.text;
+    const rec = {
+      text: text.slice(start, end),
+      prefix: text.slice(Math.max(0, start - QUOTE_CONTEXT_CHARS), start),
+      suffix: text.slice(end, end + QUOTE_CONTEXT_CHARS),
+      start,
+      end
+    };
+    const at = entryAt(index, start);
+    const startInfo = index.nodes[at];
+    const host = startInfo ? hostElementOf(startInfo.node) : null;
+    const path = host ? domPathHint(host) : null;
+    const span = host ? elementTextSpan(index, host, at) : null;
+    if (path !== null && span) {
+      rec.path = path;
+      rec.pathOffset = start - span.start;
+    }
+    return rec;
+  }
+
+  function findOccurrences(text, needle) {
+    const hits = [];
+    let i = text.indexOf(needle);
+    while (i !== -1) {
+      hits.push(i);
+      i = text.indexOf(needle, i + 1);
+    }
+    return hits;
+  }
+
+  // how many characters of prefix/suffix agree with the text around idx
+  function contextScore(text, idx, rec) {
+    const prefix = rec.prefix || '';
+    const suffix = rec.suffix || '';
+    let score = 0;
+    for (let i = 1; i <= prefix.length && idx - i >= 0 && text[idx - i] === prefix[prefix.length - i]; i++) score++;
+    const after = idx + rec.text.length;
+    for (let i = 0; i < suffix.length && text[after + i] === suffix[i]; i++) score++;
+    return score;
+  }
+
+  function closestTo(hits, target) {
+    return hits.reduce((best, h) => Math.abs(h - target) < Math.abs(best - target) ? h : best, hits[0]);
+  }
+
+  // start offset of the exact quote in the index, or -1
+  function locateExact(rec, index) {
+    const text = index.text;
+    const needle = rec.text;
+    if (!needle) return -1;
+
+    if (Number.isInteger(rec.start) && text.substr(rec.start, needle.length) === needle) return rec.start;
+
+    let hits = findOccurrences(text, needle);
+    if (hits.length <= 1) return hits.length ? hits[0] : -1;
+
+    if (rec.prefix || rec.suffix) {
+      const scores = hits.map(h => contextScore(text, h, rec));
+      const best = Math.max.apply(null, scores);
+      const tied = hits.filter((h, i) => scores[i] === best);
+      if (best > 0 && tied.length === 1) return tied[0];
+      if (best > 0) hits = tied;
+    }
+
+    const el = resolveDomPathHint(rec.path);
+    const span = el ? elementTextSpan(index, el) : null;
+    if (span) {
+      const inside = hits.filter(h => h >= span.start && h + needle.length <= span.end);
+      if (inside.length) return closestTo(inside, span.start + (rec.pathOffset || 0));
+    }
+
+    return Number.isInteger(rec.start) ? closestTo(hits, rec.start) : hits[0];
+  }
+
+  // ---------- fuzzy re-anchoring ----------
+  // When the exact quote is gone because the page was edited slightly,
+  // candidate ranges are bracketed by short anchors that usually survive such
+  // edits: the end of the prefix or the start of the quote on the left, the
+  // start of the suffix or the end of the quote on the right. The candidate
+  // most similar to the quote wins if it is similar enough.
+  const FUZZY_ANCHOR_CHARS = 12;
+  const FUZZY_MIN_SIMILARITY = 0.75;
+  const FUZZY_MAX_QUOTE = 500;
+  const FUZZY_MAX_CANDIDATES = 50;
+
+  // 1 - normalized Levenshtein distance
+  function similarity(a, b) {
+    if (a === b) return 1;
+    if (!a.length || !b.length) return 0;
+    let prev = new Array(b.length + 1);
+    let cur = new Array(b.length + 1);
+    for (let j = 0; j <= b.length; j++) prev[j] = j;
+    for (let i = 1; i <= a.length; i++) {
+      cur[0] = i;
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + cost);
+      }
+      [prev, cur] = [cur, prev];
+    }
+    return 1 - prev[b.length] / Math.max(a.length, b.length);
+  }
+
+  function fuzzyLocate(rec, index) {
+    const text = index.text;
+    const quote = rec.text;
+    if (quote.length > FUZZY_MAX_QUOTE) return null;
+
+    const anchorLen = Math.min(FUZZY_ANCHOR_CHARS, Math.max(3, Math.floor(quote.length / 2)));
+    const prefixTail = (rec.prefix || '').slice(-FUZZY_ANCHOR_CHARS);
+    const suffixHead = (rec.suffix || '').slice(0, FUZZY_ANCHOR_CHARS);
+    const head = quote.slice(0, anchorLen);
+    const tail = quote.slice(-anchorLen);
+
+    const lefts = [];
+    const rights = [];
+    if (prefixTail.length >= 4) findOccurrences(text, prefixTail).forEach(i => lefts.push(i + prefixTail.length));
+    if (suffixHead.length >= 4) findOccurrences(text, suffixHead).forEach(i => rights.push(i));
+    if (head.length >= 3) findOccurrences(text, head).forEach(i => lefts.push(i));
+    if (tail.length >= 3) findOccurrences(text, tail).forEach(i => rights.push(i + tail.length));
+
+    const minLen = Math.floor(quote.length * FUZZY_MIN_SIMILARITY);
+    const maxLen = Math.ceil(quote.length / FUZZY_MIN_SIMILARITY);
+    const seen = new Set();
+    let best = null;
+    let checked = 0;
+    for (const l of lefts) {
+      for (const r of rights) {
+        const len = r - l;
+        if (len < minLen || len > maxLen || seen.has(l + ':' + r)) continue;
+        seen.add(l + ':' + r);
+        if (++checked > FUZZY_MAX_CANDIDATES) return best;
+        const score = similarity(text.slice(l, r), quote);
+        if (score < FUZZY_MIN_SIMILARITY) continue;
+        const nearer = best && Number.isInteger(rec.start) && Math.abs(l - rec.start) < Math.abs(best.start - rec.start);
+        if (!best || score > best.score || (score === best.score && nearer)) best = { start: l, end: r, score };
+      }
+    }
+    return best;
+  }
+
+  // returns { start, end } of rec in the index (exact, else fuzzy), or null
+  function locateRecord(rec, index) {
+    if (!rec.text) return null;
+    const start = locateExact(rec, index);
+    if (start !== -1) return { start, end: start + rec.text.length };
+    const fuzzy = fuzzyLocate(rec, index);
+    return fuzzy ? { start: fuzzy.start, end: fuzzy.end } : null;
+  }
+
+  // ---------- highlight model ----------
+  // The page's highlights as { id, color, style, start, end } intervals over
+  // the text index. Smart toggle, clear and persistence compute on this in-memory
+  // list; the active renderer (see "renderers") reports where its highlights
+  // currently are and draws the changes. Per-highlight data that is not part
+  // of the interval (the note and tags) lives in highlightMeta.
+  //
+  // A highlight's look is its color plus its style (see HIGHLIGHT_STYLES).
+  // Highlights of different looks may overlap: each keeps its own range, and
+  // the renderer shows overlapping backgrounds as a blend. Highlighting over
+  // or next to a highlight of the same look merges the two instead.
+
+  const highlightMeta = new Map();
+
+  function byStart(a, b) {
+    return a.start - b.start || a.end - b.end;
+  }
+
+  function currentHighlights(index) {
+    return renderer.positions(index).sort(byStart);
+  }
+
+  function sameColor(a, b) {
+    return String(a).toLowerCase() === String(b).toLowerCase();
+  }
+
+  function styleOf(h) {
+    return h && HIGHLIGHT_STYLES.indexOf(h.style) !== -1 ? h.style : DEFAULT_STYLE;
+  }
+
+  // look is anything with a color and style: a highlight, a record or { color, style }
+  function sameLook(h, look) {
+    return sameColor(h.color, look.color) && styleOf(h) === styleOf(look);
+  }
+
+  // true when every non-blank character in [start, end) is highlighted
+  function isFullyHighlighted(list, text, start, end) {
+    let pos = start;
+    let overlaps = false;
+    for (const h of list) {
+      if (h.end <= pos) continue;
+      if (h.start >= end) break;
+      if (h.start > pos && /\S/.test(text.slice(pos, h.start))) return false;
+      overlaps = true;
+      pos = Math.max(pos, h.end);
+      if (pos >= end) return true;
+    }
+    return overlaps && !/\S/.test(text.slice(pos, end));
+  }
+
+  // Removes [start, end) from every highlight of look (all highlights when
+  // look is omitted). A highlight that keeps text on both sides is split: the left
+  // part keeps its id, the right part gets a new one. Parts left with only
+  // whitespace are dropped.
+  function subtractInterval(list, text, start, end, look) {
+    const out = [];
+    const keep = (h, s, e, id) => {
+      if (e > s && /\S/.test(text.slice(s, e))) out.push(Object.assign({}, h, { id, start: s, end: e }));
+    };
+    list.forEach(h => {
+      if (h.end <= start || h.start >= end || (look && !sameLook(h, look))) {
+        out.push(h);
+        return;
+      }
+      const hasLeft = h.start < start && /\S/.test(text.slice(h.start, start));
+      if (hasLeft) keep(h, h.start, start, h.id);
+      if (h.end > end) keep(h, end, h.end, hasLeft ? genId() : h.id);
+    });
+    return out;
+  }
+
+  // Adds [start, end) in look. Highlights of the same look it touches or
+  // overlaps are folded into it under an existing id; other looks are left as
+  // they are and overlap it. Restored highlights (given an id) keep their own
+  // record.
+  function addInterval(list, text, start, end, look, id) {
+    let s = start;
+    let e = end;
+    let keepId = id;
+    let rest = list;
+    if (!id) {
+      let merged = true;
+      while (merged) {
+        merged = false;
+        rest = rest.filter(h => {
+          if (!sameLook(h, look) || h.start > e || h.end < s) return true;
+          s = Math.min(s, h.start);
+          e = Math.max(e, h.end);
+          keepId = keepId || h.id;
+          merged = true;
+          return false;
+        });
+      }
+    }
+    const out = rest.concat({ id: keepId || genId(), color: look.color, style: styleOf(look), start: s, end: e });
+    return out.sort(byStart);
+  }
+
+  // redraw only the highlights that were removed, added or changed; index
+  // (which before was read from) is kept up to date for the rest of the action
+  function commitHighlights(index, before, after) {
+    const next = new Map(after.map(h => [h.id, h]));
+    const old = new Map(before.map(h => [h.id, h]));
+    const changed = after.filter(h => {
+      const o = old.get(h.id);
+      return !o || o.start !== h.start || o.end !== h.end || o.color !== h.color || styleOf(o) !== styleOf(h);
+    });
+    const changedIds = new Set(changed.map(h => h.id));
+    const gone = before.filter(h => !next.has(h.id) || changedIds.has(h.id)).map(h => h.id);
+    if (gone.length) renderer.erase(gone, index);
+    return changed.length ? renderer.draw(changed, index) : true;
+  }
+
+  // the stored selectors of prev when it still describes [start, end) of the
+  // text, else new ones; looking up the DOM path is what costs
+  function redescribe(index, prev, start, end) {
+    const text = index.text;
+    const same = prev && prev.start === start && prev.end === end && prev.text === text.slice(start, end)
+      && prev.prefix === text.slice(Math.max(0, start - QUOTE_CONTEXT_CHARS), start)
+      && prev.suffix === text.slice(end, end + QUOTE_CONTEXT_CHARS);
+    if (!same) return describeOffsets(index, start, end);
+    const rec = { text: prev.text, prefix: prev.prefix, suffix: prev.suffix, start, end };
+    if (prev.path !== undefined) {
+      rec.path = prev.path;
+      rec.pathOffset = prev.pathOffset;
+    }
+    return rec;
+  }
+
+  // the page as persistHighlights last saved it (id -> JSON), so the storage
+  // listener can pass over the change that save makes: it is on the page already
+  let lastSaved = null;
+
+  function isLastSave(change, edited) {
+    if (!lastSaved) return false;
+    const ids = change ? HighlightStore.idsOf(change.newValue) : null;
+    if (ids && (ids.length !== lastSaved.size || ids.some(id => !lastSaved.has(id)))) return false;
+    return Array.from(edited.values()).every(rec => lastSaved.get(rec.id) === JSON.stringify(rec));
+  }
+
+  // label names the user action for the undo history; omit it for saves that
+  // are not undoable steps of their own (notes, re-attaching orphans). index
+  // is the one the action drew with; the positions are read from it before
+  // storage is, while they still match the page.
+  async function persistHighlights(label, index) {
+    if (!index) index = buildTextIndex(document.body);
+    const highlights = currentHighlights(index);
+    const existing = await readHighlightsArray();
+    const previous = new Map(existing.map(r => [r.id, r]));
+    const now = Date.now();
+
+    const placed = new Set();
+    const arr = highlights.map(h => {
+      const prev = previous.get(h.id);
+      const rec = Object.assign({ id: h.id, color: h.color, style: styleOf(h) }, redescribe(index, prev, h.start, h.end));
+      rec.pageTitle = document.title || '';
+      const unchanged = prev && prev.text === rec.text && prev.color === rec.color
+        && styleOf(prev) === rec.style && prev.start === rec.start;
+      if (prev) RECORD_METADATA_FIELDS.forEach(f => { if (prev[f] !== undefined) rec[f] = prev[f]; });
+      rec.createdAt = (prev && prev.createdAt) || now;
+      rec.updatedAt = unchanged ? (prev.updatedAt || now) : now;
+      placed.add(h.id);
+      return rec;
+    });
+    // records still waiting for their content are kept as they were
+    pending.forEach(rec => { if (!placed.has(rec.id)) arr.push(rec); });
+    if (label === REMOVE_LABEL) {
+      // whole highlights taken off the page go to the trash first; when it
+      // has no room the page is drawn again as saved, trimmed parts included
+      const ids = new Set(arr.map(r => r.id));
+      const removed = existing.filter(r => !ids.has(r.id));
+      try {
+        await HighlightTrash.add(activeKey, removed, 'removed');
+      } catch (e) {
+        redrawFromRecords(existing);
+        throw e;
+      }
+    }
+    lastSaved = new Map(arr.map(r => [r.id, JSON.stringify(r)]));
+    await saveHighlightsArray(arr, existing);
+    if (label) await recordHistory(label, existing, arr);
+  }
+
+  function rangeOffsets(index, range) {
+    return {
+      start: textOffsetOf(index, range.startContainer, range.startOffset),
+      end: textOffsetOf(index, range.endContainer, range.endOffset)
+    };
+  }
+
+  function placeHighlight(index, start, end, look, id) {
+    const before = currentHighlights(index);
+    return commitHighlights(index, before, addInterval(before, index.text, start, end, look, id));
+  }
+
+  // Smart toggle for a selection range; returns 'removed', 'applied' or null.
+  // Toggling works per look: a selection fully covered by highlights of this
+  // color and style is un-highlighted (in this look only), anything else gets
+  // a highlight of this look on top of whatever is there. With force the
+  // selection is always highlighted, never removed.
+  function toggleRange(index, range, look, force) {
+    const { start, end } = rangeOffsets(index, range);
+    if (end <= start) return null;
+    const before = currentHighlights(index);
+    const ofLook = before.filter(h => sameLook(h, look));
+
+    if (!force && isFullyHighlighted(ofLook, index.text, start, end)) {
+      commitHighlights(index, before, subtractInterval(before, index.text, start, end, look));
+      return 'removed';
+    }
+    return placeHighlight(index, start, end, look) ? 'applied' : null;
+  }
+
+  // recolors one whole highlight in place; it keeps its id, style and note
+  function recolorHighlight(index, id, color) {
+    const before = currentHighlights(index);
+    const h = before.find(x => x.id === id);
+    if (!h) return false;
+    if (sameColor(h.color, color)) return true;
+    const rest = before.filter(x => x.id !== id);
+    return commitHighlights(index, before, addInterval(rest, index.text, h.start, h.end, { color, style: h.style }, id));
+  }
+
+  function removeHighlight(index, id) {
+    const before = currentHighlights(index);
+    if (!before.some(x => x.id === id)) return false;
+    commitHighlights(index, before, before.filter(x => x.id !== id));
+    return true;
+  }
+
+  function highlightText(id) {
+    const index = buildTextIndex(document.body);
+    const h = currentHighlights(index).find(x => x.id === id);
+    return h ? index.text.slice(h.start, h.end) : null;
+  }
+
+  async function clearAllHighlights() {
+    const existing = await readHighlightsArray();
+    // trashed before anything is cleared, so a full storage keeps the page
+    await HighlightTrash.add(activeKey, existing, 'cleared');
+    renderer.clear();
+    pending = [];
+    await saveHighlightsArray([]);
+    if (existing.length) await recordHistory('Clear all', existing, []);
+    return true;
+  }
+
+  // ---------- renderers ----------
+  // A renderer paints the model's intervals and reports them back:
+  //   positions(index)  -> [{ id, color, style, start, end }] as currently on the page
+  //   draw(list, index) -> paint highlights; false if any one's text is gone
+  //   erase(ids, index), clear()
+  //   decorate(id)      -> refresh tooltip etc. from highlightMeta
+  //   hitTest(event)    -> { id, color, rect } of the highlight under the pointer
+  //   rectOf(id)        -> on-screen rect of a highlight
+  // draw and erase take the caller's text index when it has one and keep it
+  // matching the page, so one action needs to index the page only once.
+  // "spans" wraps text in <span> segments; "highlight-api" paints live Range
+  // objects through CSS.highlights and never touches the page DOM. The choice
+  // is per site (prefs.renderers[origin], see siteOrigin).
+
+  const RENDERER_SPANS = 'spans';
+  const RENDERER_HIGHLIGHT_API = 'highlight-api';
+
+  function hexToRgb(c) {
+    const hex = c.length === 4 ? c.slice(1).split('').map(x => x + x).join('') : c.slice(1);
+    return [0, 2, 4].map(i => parseInt(hex.slice(i, i + 2), 16));
+  }
+
+  function rgbToHex(rgb) {
+    return '#' + rgb.map(v => Math.round(v).toString(16).padStart(2, '0')).join('');
+  }
+
+  // weight of b in the result, 0..1
+  function mixRgb(a, b, weight) {
+    return a.map((v, i) => v + (b[i] - v) * weight);
+  }
+
+  // average of two hex colors, used to show where highlights overlap
+  function mixColors(a, b) {
+    if (!isValidHexColor(a) || !isValidHexColor(b)) return isValidHexColor(a) ? a : b;
+    return rgbToHex(mixRgb(hexToRgb(a), hexToRgb(b), 0.5));
+  }
+
+  // ---------- contrast ----------
+  // Backgrounds keep the page's own text color while it stays readable on
+  // them and switch to black or white otherwise; the "text" style darkens or
+  // lightens its color until it reads against the page background. Both use
+  // the WCAG contrast ratio on the page's computed colors.
+
+  const MIN_CONTRAST = 4.5;
+  const BLACK = [0, 0, 0];
+  const WHITE = [255, 255, 255];
+
+  // hex or computed "rgb(…)"/"rgba(…)" -> [r, g, b]; null when unset or
+  // (nearly) transparent
+  function parseCssColor(value) {
+    if (isValidHexColor(value)) return hexToRgb(value);
+    const m = /^rgba?\(([^)]+)\)$/.exec(String(value).trim());
+    if (!m) return null;
+    const parts = m[1].split(/[\s,/]+/).filter(Boolean).map(parseFloat);
+    if (parts.length < 3 || parts.slice(0, 3).some(isNaN)) return null;
+    if (parts.length > 3 && parts[3] < 0.5) return null;
+    return parts.slice(0, 3);
+  }
+
+  function luminance(rgb) {
+    const [r, g, b] = rgb.map(v => {
+      const c = v / 255;
+      return c <= 0.03928 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+    });
+    return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+  }
+
+  function contrastRatio(a, b) {
+    const x = luminance(a);
+    const y = luminance(b);
+    return (Math.max(x, y) + 0.05) / (Math.min(x, y) + 0.05);
+  }
+
+  // the page's own text and background colors around node, ignoring highlights
+  function pageColorsAt(node) {
+    let el = node && node.nodeType === Node.ELEMENT_NODE ? node : node && node.parentElement;
+    while (isHighlightElement(el)) el = el.parentElement;
+    const ink = (el && parseCssColor(getComputedStyle(el).color)) || BLACK;
+    let background = null;
+    for (let cur = el; cur && !background; cur = cur.parentElement) {
+      background = parseCssColor(getComputedStyle(cur).backgroundColor);
+    }
+    return { ink, background: background || WHITE };
+  }
+
+  // text color for a highlight background: null keeps the page's own
+  function inkFor(background, pageInk) {
+    const bg = hexToRgb(background);
+    if (contrastRatio(pageInk, bg) >= MIN_CONTRAST) return null;
+    return contrastRatio(BLACK, bg) >= contrastRatio(WHITE, bg) ? '#000000' : '#ffffff';
+  }
+
+  // color moved toward black or white just far enough to read on background
+  function readableOn(color, background) {
+    const rgb = hexToRgb(color);
+    const target = contrastRatio(BLACK, background) >= contrastRatio(WHITE, background) ? BLACK : WHITE;
+    for (let step = 0; step <= 10; step++) {
+      const next = mixRgb(rgb, target, step / 10);
+      if (contrastRatio(next, background) >= MIN_CONTRAST) return rgbToHex(next);
+    }
+    return rgbToHex(target);
+  }
+
+  function highlightApiSupported() {
+    return typeof CSS !== 'undefined' && !!CSS.highlights && typeof Highlight === 'function'
+      && typeof CSSStyleSheet === 'function' && 'adoptedStyleSheets' in document;
+  }
+
+  // ---------- span renderer ----------
+  // A highlight is one or more <span> segments sharing a data-ext-id. Each
+  // segment wraps a single run of text in place, so links, inline markup and
+  // block structure around the selection are left as they were. Where
+  // highlights overlap, their segments nest: an inner background is painted in
+  // the blend of both colors, and the underlines, outlines and text colors of
+  // outer segments carry on through the inner ones.
+
+  // whitespace-only text in these parents is layout, not content; wrapping it
+  // in a span would put inline content where the page does not expect any
+  const STRUCTURAL_PARENTS = ['HTML', 'HEAD', 'TABLE', 'THEAD', 'TBODY', 'TFOOT', 'TR', 'COLGROUP',
+    'UL', 'OL', 'DL', 'SELECT', 'OPTGROUP', 'DATALIST'];
+
+  function isWrappableText(node) {
+    if (!isIndexableText(node)) return false;
+    if (/\S/.test(node.nodeValue)) return true;
+    return !node.parentElement || STRUCTURAL_PARENTS.indexOf(node.parentElement.tagName) === -1;
+  }
+
+  function segmentsOf(id) {
+    return queryAllRoots('span.' + HIGHLIGHT_CLASS).filter(s => s.getAttribute('data-ext-id') === id);
+  }
+
+  // colors and decoration are applied afterwards by paintSegments()
+  function createSegment(h) {
+    const span = document.createElement('span');
+    span.className = HIGHLIGHT_CLASS;
+    span.style.borderRadius = '2px';
+    span.style.cursor = 'text';
+    span.setAttribute('data-ext-id', h.id);
+    span.setAttribute('data-ext-color', h.color);
+    span.setAttribute('data-ext-style', styleOf(h));
+    return span;
+  }
+
+  function segmentLook(seg) {
+    const color = seg.getAttribute('data-ext-color');
+    return { color: isValidHexColor(color) ? color : '#fff176', style: seg.getAttribute('data-ext-style') };
+  }
+
+  // After normalize() has merged text nodes, the merged ones are left
+  // detached and their text now ends the node before them, so that entry
+  // takes over their offsets. Keeps an index valid across a redraw.
+  function settleIndex(index, nodes) {
+    const settled = [];
+    nodes.forEach(n => {
+      const last = settled[settled.length - 1];
+      if (n.node.parentNode || !last) settled.push(n);
+      else settled[settled.length - 1] = { node: last.node, start: last.start, end: n.end };
+    });
+    index.nodes = settled;
+  }
+
+  function unwrapSegment(span) {
+    const parent = span.parentNode;
+    if (!parent) return;
+    while (span.firstChild) parent.insertBefore(span.firstChild, span);
+    parent.removeChild(span);
+    parent.normalize();
+  }
+
+  // Splits the indexed text nodes at the given offsets (sorted) and returns
+  // the pieces as index entries, in order. Splitting only shortens nodes and
+  // adds new ones, so every offset keeps pointing at the same character.
+  function splitTextAt(index, cuts) {
+    const pieces = [];
+    let c = 0;
+    index.nodes.forEach(n => {
+      while (c < cuts.length && cuts[c] <= n.start) c++;
+      const inside = [];
+      for (let i = c; i < cuts.length && cuts[i] < n.end; i++) inside.push(cuts[i]);
+      const tails = [];
+      let end = n.end;
+      // from the right, so the node itself keeps the leftmost piece
+      for (let i = inside.length - 1; i >= 0; i--) {
+        tails.unshift({ node: n.node.splitText(inside[i] - n.start), start: inside[i], end });
+        end = inside[i];
+      }
+      pieces.push({ node: n.node, start: n.start, end }, ...tails);
+    });
+    return pieces;
+  }
+
+  // the nearest enclosing segment drawn as a background, or null
+  function outerBackground(seg) {
+    for (let outer = seg.parentElement; isHighlightElement(outer); outer = outer.parentElement) {
+      if (styleOf(segmentLook(outer)) === 'background') return outer;
+    }
+    return null;
+  }
+
+  // the background a segment shows: its own, blended with the backgrounds around it
+  function shownColor(seg) {
+    const color = segmentLook(seg).color;
+    const outer = outerBackground(seg);
+    return outer ? mixColors(color, shownColor(outer)) : color;
+  }
+
+  // the text color a segment inherits: from an enclosing segment that sets
+  // one (painted first, being earlier in the document), else the page's
+  function inheritedInk(seg) {
+    for (let outer = seg.parentElement; isHighlightElement(outer); outer = outer.parentElement) {
+      const ink = parseCssColor(outer.style.color);
+      if (ink) return ink;
+    }
+    return pageColorsAt(seg).ink;
+  }
+
+  function paintSegment(seg) {
+    const look = segmentLook(seg);
+    const style = styleOf(look);
+    const css = seg.style;
+    css.backgroundColor = '';
+    css.color = '';
+    css.textDecoration = '';
+    css.outline = '';
+    if (style === 'background') {
+      const background = shownColor(seg);
+      css.backgroundColor = background;
+      css.color = inkFor(background, inheritedInk(seg)) || '';
+    } else if (style === 'underline' || style === 'wavy') {
+      css.textDecorationLine = 'underline';
+      css.textDecorationStyle = style === 'wavy' ? 'wavy' : 'solid';
+      css.textDecorationColor = look.color;
+      css.textDecorationThickness = '2px';
+    } else if (style === 'outline') {
+      css.outline = '2px solid ' + look.color;
+    } else {
+      const outer = outerBackground(seg);
+      css.color = readableOn(look.color, outer ? hexToRgb(shownColor(outer)) : pageColorsAt(seg).background);
+    }
+  }
+
+  function paintSegments() {
+    queryAllRoots('span.' + HIGHLIGHT_CLASS).forEach(paintSegment);
+  }
+
+  function createSpanRenderer() {
+    function decorateSegments(id, segments) {
+      segments.forEach(seg => {
+        const tip = tooltipFor(id, segmentLook(seg).color);
+        if (tip) seg.title = tip;
+        else seg.removeAttribute('title');
+      });
+    }
+
+    function decorate(id) {
+      decorateSegments(id, segmentsOf(id));
+    }
+
+    return {
+      name: RENDERER_SPANS,
+
+      positions(index) {
+        const groups = new Map();
+        index.nodes.forEach(n => {
+          // every segment the text sits in, innermost first
+          for (let seg = n.node.parentElement; isHighlightElement(seg); seg = seg.parentElement) {
+            if (!seg.getAttribute('data-ext-id')) seg.setAttribute('data-ext-id', genId());
+            const id = seg.getAttribute('data-ext-id');
+            const group = groups.get(id);
+            if (group) {
+              group.start = Math.min(group.start, n.start);
+              group.end = Math.max(group.end, n.end);
+            } else {
+              const look = segmentLook(seg);
+              groups.set(id, { id, color: look.color, style: styleOf(look), start: n.start, end: n.end });
+            }
+          }
+        });
+        return Array.from(groups.values());
+      },
+
+      // the text is indexed and split once for the whole list; a given index
+      // is used for that and is left describing the split text
+      draw(list, index) {
+        return mutateQuietly(() => {
+          if (!index) index = buildTextIndex(document.body);
+          const cuts = Array.from(new Set([].concat(...list.map(h => [h.start, h.end])))).sort((x, y) => x - y);
+          const split = { nodes: splitTextAt(index, cuts) };
+          const pieces = split.nodes;
+          const joined = new Set();
+          let drawn = true;
+          list.forEach(h => {
+            const segments = [];
+            let wrapped = 0;
+            for (let i = entryAt(split, h.start); i < pieces.length && pieces[i].start < h.end; i++) {
+              const node = pieces[i].node;
+              if (pieces[i].end === pieces[i].start || !isWrappableText(node)) continue;
+              wrapped++;
+              const prev = node.previousSibling;
+              // text split off the same highlight joins its neighbouring segment
+              if (isHighlightElement(prev) && prev.getAttribute('data-ext-id') === h.id) {
+                prev.appendChild(node);
+                joined.add(prev);
+                continue;
+              }
+              const span = createSegment(h);
+              node.parentNode.insertBefore(span, node);
+              span.appendChild(node);
+              segments.push(span);
+            }
+            if (!wrapped) drawn = false;
+            decorateSegments(h.id, segments);
+          });
+          joined.forEach(seg => seg.normalize());
+          settleIndex(index, pieces);
+          paintSegments();
+          return drawn;
+        });
+      },
+
+      erase(ids, index) {
+        const drop = new Set(ids);
+        mutateQuietly(() => {
+          queryAllRoots('span.' + HIGHLIGHT_CLASS).filter(s => drop.has(s.getAttribute('data-ext-id'))).forEach(unwrapSegment);
+          if (index) settleIndex(index, index.nodes);
+          paintSegments();
+        });
+      },
+
+      clear() {
+        mutateQuietly(() => queryAllRoots('span.' + HIGHLIGHT_CLASS).forEach(unwrapSegment));
+      },
+
+      decorate,
+
+      hitTest(e) {
+        const target = eventTarget(e);
+        if (!target || !target.closest) return null;
+        const seg = target.closest('span.' + HIGHLIGHT_CLASS);
+        if (!seg) return null;
+        return { id: seg.getAttribute('data-ext-id'), color: segmentLook(seg).color, rect: seg.getBoundingClientRect() };
+      },
+
+      rectOf(id) {
+        const seg = segmentsOf(id)[0];
+        return seg ? seg.getBoundingClientRect() : null;
+      }
+    };
+  }
+
+  // ---------- Highlight API renderer ----------
+  // Keeps live Ranges per highlight (one for each tree its text is in, see
+  // rangesFromOffsets) and registers them with CSS.highlights, one Highlight
+  // per distinct look, styled by ::highlight() rules in an adopted
+  // stylesheet. Nothing is inserted into the page, so page scripts, editors
+  // and frameworks see their DOM unchanged. Live ranges follow page edits.
+  // ::highlight() cannot draw outlines, so the "outline" style is shown as
+  // lines above and below the text.
+
+  function createHighlightApiRenderer() {
+    const entries = new Map(); // id -> { color, style, ink, ranges }
+    const registered = new Set();
+    const sheet = new CSSStyleSheet();
+    document.adoptedStyleSheets = document.adoptedStyleSheets.concat(sheet);
+    // document styles do not reach into shadow trees, so the sheet is adopted
+    // by each shadow root we draw in as well
+    const adopters = new Set();
+
+    function adoptSheet(range) {
+      const root = range.startContainer.getRootNode();
+      if (root === document || adopters.has(root) || !root.adoptedStyleSheets) return;
+      root.adoptedStyleSheets = root.adoptedStyleSheets.concat(sheet);
+      adopters.add(root);
+    }
+
+    const hexName = color => color.slice(1).toLowerCase();
+    const nameFor = look => '__safe_ext_hl_' + look.style + '_' + hexName(look.color)
+      + (look.ink ? '_' + hexName(look.ink) : '');
+
+    // the contrast-adjusted text color for a look drawn over range
+    function inkAt(color, style, range) {
+      const page = pageColorsAt(range.startContainer);
+      if (style === 'background') return inkFor(color, page.ink);
+      if (style === 'text') return readableOn(color, page.background);
+      return null;
+    }
+
+    function declarations(look) {
+      if (look.style === 'background') {
+        return 'background-color: ' + look.color + ';' + (look.ink ? ' color: ' + look.ink + ';' : '');
+      }
+      if (look.style === 'text') return 'color: ' + look.ink + ';';
+      const line = look.style === 'outline' ? 'underline overline' : 'underline';
+      return 'text-decoration-line: ' + line + '; text-decoration-style: ' + (look.style === 'wavy' ? 'wavy' : 'solid')
+        + '; text-decoration-color: ' + look.color + '; text-decoration-thickness: 2px;';
+    }
+
+    // the part two live ranges share, or null
+    function intersect(a, b) {
+      try {
+        const startInA = a.comparePoint(b.startContainer, b.startOffset);
+        const endInA = a.comparePoint(b.endContainer, b.endOffset);
+        if (startInA > 0 || endInA < 0) return null;
+        const r = document.createRange();
+        if (startInA === 0) r.setStart(b.startContainer, b.startOffset);
+        else r.setStart(a.startContainer, a.startOffset);
+        if (endInA === 0) r.setEnd(b.endContainer, b.endOffset);
+        else r.setEnd(a.endContainer, a.endOffset);
+        return r.collapsed ? null : r;
+      } catch (e) {
+        return null;
+      }
+    }
+
+    function repaint() {
+      const layers = new Map(); // name -> { look, priority, ranges }
+      const add = (look, range, priority) => {
+        const name = nameFor(look) + (priority ? '_mix' : '');
+        if (!layers.has(name)) layers.set(name, { look, priority, ranges: [] });
+        layers.get(name).ranges.push(range);
+      };
+      entries.forEach(e => e.ranges.forEach(range => add(e, range, 0)));
+      // where two background colors overlap, the blend is painted above both
+      const list = Array.from(entries.values()).filter(e => e.style === 'background');
+      for (let i = 0; i < list.length; i++) {
+        for (let j = i + 1; j < list.length; j++) {
+          if (sameColor(list[i].color, list[j].color)) continue;
+          const color = mixColors(list[i].color, list[j].color);
+          list[i].ranges.forEach(a => list[j].ranges.forEach(b => {
+            const overlap = intersect(a, b);
+            if (overlap) add({ color, style: 'background', ink: inkAt(color, 'background', overlap) }, overlap, 1);
+          }));
+        }
+      }
+
+      registered.forEach(name => CSS.highlights.delete(name));
+      registered.clear();
+      const rules = [];
+      layers.forEach((layer, name) => {
+        const highlight = new Highlight(...layer.ranges);
+        highlight.priority = layer.priority;
+        CSS.highlights.set(name, highlight);
+        registered.add(name);
+        rules.push('::highlight(' + name + ') { ' + declarations(layer.look) + ' }');
+      });
+      sheet.replaceSync(rules.join('\n'));
+    }
+
+    function rangeAtPoint(x, y) {
+      if (document.caretPositionFromPoint) {
+        const pos = document.caretPositionFromPoint(x, y, { shadowRoots: liveShadowRoots() });
+        return pos ? { node: pos.offsetNode, offset: pos.offset } : null;
+      }
+      if (document.caretRangeFromPoint) {
+        const r = document.caretRangeFromPoint(x, y);
+        return r ? { node: r.startContainer, offset: r.startOffset } : null;
+      }
+      return null;
+    }
+
+    return {
+      name: RENDERER_HIGHLIGHT_API,
+
+      positions(index) {
+        const out = [];
+        entries.forEach((e, id) => {
+          const ranges = e.ranges.filter(r => !r.collapsed && r.startContainer.isConnected);
+          if (!ranges.length) return;
+          const first = ranges[0];
+          const last = ranges[ranges.length - 1];
+          const start = textOffsetOf(index, first.startContainer, first.startOffset);
+          const end = textOffsetOf(index, last.endContainer, last.endOffset);
+          if (end > start) out.push({ id, color: e.color, style: e.style, start, end });
+        });
+        return out;
+      },
+
+      draw(list, index) {
+        if (!index) index = buildTextIndex(document.body);
+        let drawn = true;
+        list.forEach(h => {
+          const ranges = rangesFromOffsets(index, h.start, h.end);
+          if (!ranges.length) {
+            drawn = false;
+            return;
+          }
+          const style = styleOf(h);
+          ranges.forEach(adoptSheet);
+          entries.set(h.id, { color: h.color, style, ink: inkAt(h.color, style, ranges[0]), ranges });
+        });
+        repaint();
+        return drawn;
+      },
+
+      erase(ids) {
+        let changed = false;
+        ids.forEach(id => {
+          if (entries.delete(id)) changed = true;
+        });
+        if (changed) repaint();
+      },
+
+      clear() {
+        entries.clear();
+        repaint();
+      },
+
+      decorate() {
+        // notes, labels and tags are shown by the hover tooltip (see "notes")
+      },
+
+      hitTest(e) {
+        const point = rangeAtPoint(e.clientX, e.clientY);
+        if (!point || !point.node) return null;
+        for (const [id, entry] of entries) {
+          for (const range of entry.ranges) {
+            try {
+              if (range.isPointInRange(point.node, point.offset)) {
+                return { id, color: entry.color, rect: range.getBoundingClientRect() };
+              }
+            } catch (err) {
+              // the point is in another tree than this range
+            }
+          }
+        }
+        return null;
+      },
+
+      rectOf(id) {
+        const entry = entries.get(id);
+        return entry ? entry.ranges[0].getBoundingClientRect() : null;
+      },
+
+      dispose() {
+        entries.clear();
+        repaint();
+        document.adoptedStyleSheets = document.adoptedStyleSheets.filter(s => s !== sheet);
+        adopters.forEach(root => {
+          root.adoptedStyleSheets = root.adoptedStyleSheets.filter(s => s !== sheet);
+        });
+        adopters.clear();
+      }
+    };
+  }
+
+  // every change a renderer draws also refreshes the navigator; the span
+  // renderer's also refresh the auto and shared highlights, as moving text
+  // nodes collapses the live ranges in them
+  function withChangeNotifications(r) {
+    ['draw', 'erase', 'clear'].forEach(method => {
+      const fn = r[method];
+      r[method] = (...args) => {
+        const result = fn.apply(r, args);
+        scheduleNavigatorRefresh();
+        if (r.name === RENDERER_SPANS) {
+          scheduleAutoRefresh();
+          scheduleSharedRefresh();
+        }
+        return result;
+      };
+    });
+    return r;
+  }
+
+  let renderer = withChangeNotifications(createSpanRenderer());
+
+  // switch renderers, carrying the highlights on the page across
+  function useRenderer(name) {
+    if (name === RENDERER_HIGHLIGHT_API && !highlightApiSupported()) name = RENDERER_SPANS;
+    if (renderer.name === name) return;
+    const current = currentHighlights(buildTextIndex(document.body));
+    renderer.clear();
+    if (renderer.dispose) renderer.dispose();
+    renderer = withChangeNotifications(name === RENDERER_HIGHLIGHT_API ? createHighlightApiRenderer() : createSpanRenderer());
+    if (current.length) renderer.draw(current);
+  }
+
+  // The popup saves the choice under the tab's origin, so a frame (which may
+  // be from another site) follows the choice made for the page it is in. The
+  // top origin is the last of the frame's ancestor origins.
+  function siteOrigin() {
+    const ancestors = location.ancestorOrigins;
+    const top = window !== window.top && ancestors && ancestors.length ? ancestors[ancestors.length - 1] : null;
+    return top && top !== 'null' ? top : location.origin;
+  }
+
+  function rendererForPrefs(prefs) {
+    const map = prefs && prefs.renderers;
+    const choice = map && typeof map === 'object' ? map[siteOrigin()] : null;
+    return choice === RENDERER_HIGHLIGHT_API ? RENDERER_HIGHLIGHT_API : RENDERER_SPANS;
   }
 
-  function readHighlightsArray() {
-    const key = storageKey();
-    return new Promise(resolve => chrome.storage.local.get(key, obj => resolve(obj[key] || [])));
+  function readPrefs() {
+    return new Promise(resolve => chrome.storage.local.get(PREF_KEY, obj => resolve(obj[PREF_KEY] || {})));
   }
 
-  function saveHighlightsArray(arr) {
-    const key = storageKey();
-    const payload = {};
-    payload[key] = (Array.isArray(arr) ? arr : []).slice(0, MAX_PERSISTED_PER_PAGE);
-    return new Promise(resolve => chrome.storage.local.set(payload, () => resolve()));
+  // ---------- notes ----------
+  // Each highlight can carry a plain-text note and tags, stored as `note` and
+  // `tags` on its record. They are shown as a tooltip (the segments' title, or
+  // a hover box for the Highlight API renderer) under the label the user gave
+  // the highlight's color (prefs.colorLabels, see highlight-tags.js). Clicking
+  // a highlight (without a selection) opens a small editor in a closed shadow
+  // root, so page CSS and scripts cannot reach it. Notes, labels and tags only
+  // ever go through textContent/value/title.
+
+  let colorLabels = {};
+
+  function sanitizeNote(note) {
+    if (typeof note !== 'string') return '';
+    return note.replace(/\r\n?/g, '\n').trim().slice(0, MAX_NOTE_LENGTH);
   }
 
-  function selectionIsFullyHighlighted(range) {
-    if (!range) return false;
-    const walker = document.createTreeWalker(range.commonAncestorContainer, NodeFilter.SHOW_TEXT, {
-      acceptNode(node) {
-        if (!node.nodeValue) return NodeFilter.FILTER_REJECT;
-        if (!range.intersectsNode(node)) return NodeFilter.FILTER_REJECT;
-        return NodeFilter.FILTER_ACCEPT;
-      }
-    });
-    let n;
-    while (n = walker.nextNode()) {
-      let parent = n.parentNode;
-      if (!parent) return false;
-      let found = false;
-      while (parent && parent !== document.body) {
-        if (parent.classList && parent.classList.contains(HIGHLIGHT_CLASS)) { found = true; break; }
-        parent = parent.parentNode;
-      }
-      if (!found) return false;
+  function setHighlightMeta(id, rec) {
+    highlightMeta.set(id, { note: rec.note || '', tags: HighlightTags.parseTags(rec.tags) });
+  }
+
+  // the color's label and the tags on the first line, the note below
+  function tooltipFor(id, color) {
+    const meta = highlightMeta.get(id) || {};
+    return [HighlightTags.describe({ color, tags: meta.tags }, colorLabels), meta.note || ''].filter(Boolean).join('\n');
+  }
+
+  // tags are left as they are when omitted
+  async function saveNote(id, note, tags) {
+    const clean = sanitizeNote(note);
+    const arr = await readHighlightsArray();
+    const rec = arr.find(r => r.id === id);
+    if (!rec) return false;
+    if (clean) rec.note = clean;
+    else delete rec.note;
+    if (tags !== undefined) {
+      const list = HighlightTags.parseTags(tags);
+      if (list.length) rec.tags = list;
+      else delete rec.tags;
     }
+    rec.updatedAt = Date.now();
+    await saveHighlightsArray(arr);
+    setHighlightMeta(id, rec);
+    renderer.decorate(id);
     return true;
   }
 
-  function removeHighlightsIntersectingRange(range) {
-    const spans = Array.from(document.querySelectorAll('span.' + HIGHLIGHT_CLASS));
-    let removedAny = false;
-    spans.forEach(span => {
-      try {
-        if (range.intersectsNode(span)) {
-          const parent = span.parentNode;
-          if (!parent) return;
-          parent.replaceChild(document.createTextNode(span.textContent), span);
-          parent.normalize();
-          removedAny = true;
-        }
-      } catch (e) {}
+  let noteEditor = null;
+
+  function closeNoteEditor() {
+    if (!noteEditor) return;
+    noteEditor.host.remove();
+    document.removeEventListener('mousedown', noteEditor.onOutside, true);
+    noteEditor = null;
+  }
+
+  async function openNoteEditor(id, rect) {
+    closeNoteEditor();
+    const arr = await readHighlightsArray();
+    const rec = arr.find(r => r.id === id);
+    if (!rec) return;
+
+    const host = document.createElement('div');
+    host.setAttribute('data-ext-note-editor', '');
+    const root = host.attachShadow({ mode: 'closed' });
+
+    const style = document.createElement('style');
+    style.textContent = `
+      .box { position: fixed; z-index: 2147483647; width: 260px; padding: 8px; box-sizing: border-box;
+        background: #fafafa; color: #222; border: 1px solid #ccc; border-radius: 6px;
+        box-shadow: 0 4px 14px rgba(0, 0, 0, 0.2); font: 13px/1.4 sans-serif; }
+      .label { font-size: 11px; font-weight: bold; margin-bottom: 2px; }
+      .quote { font-size: 11px; color: #666; margin-bottom: 6px; max-height: 3em; overflow: hidden; }
+      textarea { width: 100%; min-height: 70px; box-sizing: border-box; font: inherit; resize: vertical; }
+      .tags { width: 100%; box-sizing: border-box; margin-top: 6px; font: inherit; font-size: 12px; }
+      .row { display: flex; gap: 6px; justify-content: flex-end; margin-top: 6px; }
+      button { padding: 4px 8px; font: inherit; font-size: 12px; cursor: pointer;
+        border-radius: 5px; border: 1px solid #ccc; background: #f2f2f2; color: #222; }
+      button:hover { background: #e2e2e2; }
+      .danger { margin-right: auto; color: #b00; }`;
+
+    const box = document.createElement('div');
+    box.className = 'box';
+    const label = document.createElement('div');
+    label.className = 'label';
+    label.textContent = HighlightTags.labelFor(colorLabels, rec.color);
+    label.hidden = !label.textContent;
+    const quote = document.createElement('div');
+    quote.className = 'quote';
+    quote.textContent = '“' + rec.text + '”';
+    const textarea = document.createElement('textarea');
+    textarea.maxLength = MAX_NOTE_LENGTH;
+    textarea.placeholder = 'Add a note…';
+    textarea.value = rec.note || '';
+    const tagsInput = document.createElement('input');
+    tagsInput.className = 'tags';
+    tagsInput.placeholder = 'Tags, comma-separated';
+    tagsInput.value = HighlightTags.parseTags(rec.tags).join(', ');
+    const row = document.createElement('div');
+    row.className = 'row';
+    const del = document.createElement('button');
+    del.className = 'danger';
+    del.textContent = 'Delete note';
+    del.disabled = !rec.note;
+    const cancel = document.createElement('button');
+    cancel.textContent = 'Cancel';
+    const save = document.createElement('button');
+    save.textContent = 'Save';
+    row.append(del, cancel, save);
+    box.append(label, quote, textarea, tagsInput, row);
+    root.append(style, box);
+
+    box.style.left = Math.max(8, Math.min(rect.left, window.innerWidth - 268)) + 'px';
+    box.style.top = (rect.bottom + 210 < window.innerHeight ? rect.bottom + 6 : Math.max(8, rect.top - 216)) + 'px';
+
+    save.addEventListener('click', async () => {
+      await saveNote(id, textarea.value, tagsInput.value);
+      closeNoteEditor();
+    });
+    del.addEventListener('click', async () => {
+      await saveNote(id, '');
+      closeNoteEditor();
+    });
+    cancel.addEventListener('click', closeNoteEditor);
+    box.addEventListener('keydown', (e) => {
+      e.stopPropagation();
+      if (e.key === 'Escape') closeNoteEditor();
+      else if (e.key === 'Enter' && (e.ctrlKey || e.metaKey || e.target === tagsInput)) save.click();
+    });
+
+    const onOutside = (e) => { if (e.target !== host) closeNoteEditor(); };
+    document.addEventListener('mousedown', onOutside, true);
+    document.documentElement.appendChild(host);
+    noteEditor = { host, onOutside };
+    textarea.focus();
+  }
+
+  // clicks on these do something of the page's own, which a note editor
+  // opening on top would get in the way of
+  const INTERACTIVE = 'a[href], button, label, summary, input, select, textarea, [contenteditable], [role=button]';
+
+  document.addEventListener('click', (e) => {
+    const target = eventTarget(e);
+    if (target && target.closest && target.closest(INTERACTIVE)) return;
+    const sel = window.getSelection();
+    if (sel && !sel.isCollapsed) return;
+    const hit = renderer.hitTest(e);
+    if (hit) openNoteEditor(hit.id, hit.rect);
+  });
+
+  // The Highlight API renderer has no elements to carry a title, so tooltips
+  // are shown in a small hover box of our own instead.
+  let noteTip = null;
+  let tipFrame = 0;
+
+  function hideNoteTip() {
+    if (noteTip) noteTip.host.remove();
+    noteTip = null;
+  }
+
+  function showNoteTip(note, x, y) {
+    if (!noteTip) {
+      const host = document.createElement('div');
+      host.setAttribute('data-ext-note-tip', '');
+      const root = host.attachShadow({ mode: 'closed' });
+      const style = document.createElement('style');
+      style.textContent = `
+        .tip { position: fixed; z-index: 2147483647; max-width: 280px; padding: 4px 7px; pointer-events: none;
+          background: #333; color: #fff; border-radius: 4px; font: 12px/1.4 sans-serif;
+          white-space: pre-wrap; word-break: break-word; }`;
+      const box = document.createElement('div');
+      box.className = 'tip';
+      root.append(style, box);
+      document.documentElement.appendChild(host);
+      noteTip = { host, box };
+    }
+    noteTip.box.textContent = note;
+    noteTip.box.style.left = Math.min(x + 12, window.innerWidth - 290) + 'px';
+    noteTip.box.style.top = (y + 16) + 'px';
+  }
+
+  document.addEventListener('mousemove', (e) => {
+    if (renderer.name !== RENDERER_HIGHLIGHT_API || tipFrame) return;
+    tipFrame = requestAnimationFrame(() => {
+      tipFrame = 0;
+      const hit = noteEditor ? null : renderer.hitTest(e);
+      const tip = hit ? tooltipFor(hit.id, hit.color) : '';
+      if (tip) showNoteTip(tip, e.clientX, e.clientY);
+      else hideNoteTip();
+    });
+  }, { passive: true });
+
+  // Records deleted elsewhere (e.g. the library page) are erased here too, so
+  // the next persist from this tab does not bring them back, and records added
+  // elsewhere (restored from the trash, imported) are drawn. A changed
+  // renderer choice for this site, edited color labels and changed URL rules
+  // are applied straight away.
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area !== 'local') return;
+    if (changes[PREF_KEY]) {
+      const prefs = changes[PREF_KEY].newValue;
+      useRenderer(rendererForPrefs(prefs));
+      const labels = HighlightTags.labels(prefs);
+      if (JSON.stringify(labels) !== JSON.stringify(colorLabels)) {
+        colorLabels = labels;
+        currentHighlights(buildTextIndex(document.body)).forEach(h => renderer.decorate(h.id));
+        scheduleNavigatorRefresh();
+      }
+      const rules = (prefs && prefs.keyRules) || {};
+      if (JSON.stringify(rules) !== JSON.stringify(keyRules)) {
+        keyRules = rules;
+        checkRoute();
+      }
+      readAutoPrefs(prefs);
+      if (useAutoRules()) refreshAutoHighlights();
+      readPenPrefs(prefs);
+    }
+    // the page entry lists the record ids; records are entries of their own
+    const change = changes[activeKey];
+    const edited = editedRecords(changes);
+    if (!change && !edited.size) return;
+    if (isLastSave(change, edited)) return;
+    const kept = change ? new Set(HighlightStore.idsOf(change.newValue)) : null;
+    if (kept) pending = pending.filter(rec => kept.has(rec.id));
+    const shown = new Set(pending.map(rec => rec.id));
+    const gone = [];
+    currentHighlights(buildTextIndex(document.body)).forEach(h => {
+      const rec = edited.get(h.id);
+      // a record recolored or restyled elsewhere (sync, the external API) is
+      // drawn again below; a new note or tags only change its tooltip
+      if ((kept && !kept.has(h.id)) || (rec && !sameLook(h, rec))) {
+        gone.push(h.id);
+        return;
+      }
+      if (rec) {
+        setHighlightMeta(h.id, rec);
+        renderer.decorate(h.id);
+      }
+      shown.add(h.id);
+    });
+    if (gone.length) renderer.erase(gone);
+    const wanted = kept ? Array.from(kept) : Array.from(edited.keys());
+    if (wanted.some(id => !shown.has(id))) drawAddedRecords(activeKey);
+  });
+
+  // id -> new record, for this page's records that changed in place
+  function editedRecords(changes) {
+    const edited = new Map();
+    Object.keys(changes).forEach(key => {
+      const rec = HighlightStore.recordPage(key);
+      const value = changes[key].newValue;
+      if (rec && rec.page === activeKey && changes[key].oldValue && value && value.id === rec.id) edited.set(rec.id, value);
     });
-    return removedAny;
+    return edited;
   }
 
-  function insertHighlightForRange(range, color) {
+  async function drawAddedRecords(key) {
+    const records = await readHighlightsArray();
+    if (key !== activeKey) return;
+    const shown = new Set(pending.map(rec => rec.id));
+    currentHighlights(buildTextIndex(document.body)).forEach(h => shown.add(h.id));
+    const unplaced = applyQuotes(records.filter(rec => rec && rec.text && isValidHexColor(rec.color) && !shown.has(rec.id)));
+    if (unplaced.length) {
+      pending = pending.concat(unplaced);
+      scheduleOrphanCheck();
+    }
+  }
+
+  // ---------- context menu ----------
+  // The service worker's "Change color", "Add note", "Copy text" and "Remove
+  // this highlight" items act on the highlight that was right-clicked, which
+  // is remembered here. Chrome shows the menu before an extension could
+  // change it, so the items are always there; used anywhere but on a
+  // highlight they only say so.
+
+  let contextTarget = null;
+
+  document.addEventListener('contextmenu', (e) => {
+    const hit = renderer.hitTest(e);
+    contextTarget = hit ? hit.id : null;
+  }, true);
+
+  // the highlight a message is about: the id it names (the popup), else the
+  // right-clicked one (the menu)
+  function targetOf(msg) {
+    const id = msg.id || contextTarget;
+    if (!id) showNotice('Right-click a highlight to use this.');
+    return id;
+  }
+
+  async function copyText(text) {
     try {
-      const span = document.createElement('span');
-      span.className = HIGHLIGHT_CLASS;
-      span.style.backgroundColor = color;
-      span.style.borderRadius = '2px';
-      span.style.whiteSpace = 'pre-wrap';
-      span.style.cursor = 'text';
-      span.setAttribute('data-ext-id', genId());
-      span.setAttribute('data-ext-color', color);
-      span.textContent = range.toString();
-
-      range.deleteContents();
-      range.insertNode(span);
-      mergeAdjacentSpans(span);
+      await navigator.clipboard.writeText(text);
       return true;
     } catch (e) {
-      console.error('insertHighlightForRange error', e);
       return false;
     }
   }
 
-  function mergeAdjacentSpans(span) {
-    if (!span || !span.parentNode) return;
-    const prev = span.previousSibling;
-    const next = span.nextSibling;
+  // ---------- navigator ----------
+  // A collapsible panel listing the page's highlights in document order, and
+  // a minimap strip along the scrollbar marking where they are. Both live in a
+  // closed shadow root outside <body>, so page CSS cannot reach them and they
+  // never enter the text index. Once highlights have labels or tags, the panel
+  // can filter on them (list and minimap alike). The next/previous commands
+  // scroll to the nearest highlight below/above the middle of the viewport.
+
+  const NAV_REFRESH_MS = 200;
+  const NAV_SNIPPET_CHARS = 120;
+
+  let nav = null;
+  let navOpen = false;
+  let navTimer = null;
+
+  function scheduleNavigatorRefresh() {
+    clearTimeout(navTimer);
+    navTimer = setTimeout(refreshNavigator, NAV_REFRESH_MS);
+  }
+
+  function snippet(text) {
+    const flat = text.replace(/\s+/g, ' ').trim();
+    return flat.length > NAV_SNIPPET_CHARS ? flat.slice(0, NAV_SNIPPET_CHARS - 1) + '…' : flat;
+  }
+
+  // the page's highlights in document order, with their text, tags and viewport rect
+  function navigatorItems() {
+    const index = buildTextIndex(document.body);
+    return currentHighlights(index)
+      .map(h => ({
+        id: h.id,
+        color: h.color,
+        text: index.text.slice(h.start, h.end),
+        tags: (highlightMeta.get(h.id) || {}).tags || [],
+        rect: renderer.rectOf(h.id)
+      }))
+      .filter(item => item.rect);
+  }
+
+  function jumpToHighlight(id) {
+    const rect = renderer.rectOf(id);
+    if (!rect) return false;
+    const offset = rect.height < window.innerHeight ? (window.innerHeight - rect.height) / 2 : 16;
+    window.scrollTo({ top: window.scrollY + rect.top - offset, behavior: 'smooth' });
+    return true;
+  }
+
+  // step > 0 jumps forward; wraps around at either end
+  function jumpRelative(step) {
+    const items = navigatorItems();
+    if (!items.length) return null;
+    const middle = window.innerHeight / 2;
+    const mid = item => item.rect.top + item.rect.height / 2;
+    let target = step > 0
+      ? items.find(item => mid(item) > middle + 4)
+      : items.slice().reverse().find(item => mid(item) < middle - 4);
+    if (!target) target = step > 0 ? items[0] : items[items.length - 1];
+    jumpToHighlight(target.id);
+    return target.id;
+  }
+
+  function buildNavigator() {
+    const host = document.createElement('div');
+    host.setAttribute('data-ext-navigator', '');
+    const root = host.attachShadow({ mode: 'closed' });
+
+    const style = document.createElement('style');
+    style.textContent = `
+      .minimap { position: fixed; z-index: 2147483646; top: 0; right: 0; bottom: 0; width: 6px; pointer-events: none; }
+      .tick { position: absolute; right: 0; width: 6px; height: 4px; margin-top: -2px; border-radius: 1px;
+        pointer-events: auto; cursor: pointer; box-shadow: 0 0 0 1px rgba(0, 0, 0, 0.25); }
+      .tab { position: fixed; z-index: 2147483646; right: 14px; bottom: 16px; padding: 4px 9px;
+        font: 12px/1.4 sans-serif; color: #222; background: #fafafa; border: 1px solid #ccc; border-radius: 12px;
+        box-shadow: 0 2px 8px rgba(0, 0, 0, 0.2); cursor: pointer; }
+      .tab:hover { background: #e2e2e2; }
+      .panel { position: fixed; z-index: 2147483647; right: 14px; bottom: 50px; width: 280px; max-height: 60vh;
+        display: flex; flex-direction: column; background: #fafafa; color: #222; border: 1px solid #ccc;
+        border-radius: 6px; box-shadow: 0 4px 14px rgba(0, 0, 0, 0.2); font: 13px/1.4 sans-serif; }
+      .panel[hidden] { display: none; }
+      .head { display: flex; align-items: center; padding: 6px 8px; border-bottom: 1px solid #e2e2e2; font-weight: bold; }
+      .head span { flex: 1; }
+      .filter { max-width: 110px; margin-right: 4px; font: 12px sans-serif; }
+      .close { border: 0; background: none; font: inherit; font-size: 15px; cursor: pointer; color: #666; }
+      ul { list-style: none; margin: 0; padding: 4px 0; overflow-y: auto; }
+      li { display: flex; gap: 6px; align-items: flex-start; padding: 4px 8px; cursor: pointer; }
+      li:hover { background: #eee; }
+      .chip { flex: none; width: 12px; height: 12px; margin-top: 3px; border-radius: 3px; border: 1px solid #ccc; }
+      .text { font-size: 12px; word-break: break-word; }`;
+
+    const minimap = document.createElement('div');
+    minimap.className = 'minimap';
+
+    const tab = document.createElement('button');
+    tab.className = 'tab';
+    tab.title = 'Highlights on this page';
+    tab.addEventListener('click', () => setNavigatorOpen(!navOpen));
+
+    const panel = document.createElement('div');
+    panel.className = 'panel';
+    panel.hidden = true;
+    const head = document.createElement('div');
+    head.className = 'head';
+    const title = document.createElement('span');
+    const filter = document.createElement('select');
+    filter.className = 'filter';
+    filter.title = 'Show only highlights with this label or tag';
+    const all = document.createElement('option');
+    all.value = '';
+    all.textContent = 'All';
+    filter.appendChild(all);
+    filter.addEventListener('change', refreshNavigator);
+    const close = document.createElement('button');
+    close.className = 'close';
+    close.textContent = '×';
+    close.title = 'Collapse';
+    close.addEventListener('click', () => setNavigatorOpen(false));
+    head.append(title, filter, close);
+    const list = document.createElement('ul');
+    panel.append(head, list);
+
+    root.append(style, minimap, tab, panel);
+    document.documentElement.appendChild(host);
+    return { host, minimap, tab, panel, title, filter, list };
+  }
+
+  function setNavigatorOpen(open) {
+    navOpen = open;
+    refreshNavigator();
+  }
+
+  function refreshNavigator() {
+    clearTimeout(navTimer);
+    const items = navigatorItems();
+    if (!items.length) {
+      if (nav) nav.host.style.display = 'none';
+      return;
+    }
+    if (!nav) nav = buildNavigator();
+    nav.host.style.display = '';
+    nav.tab.textContent = '🖍 ' + items.length;
+    const options = HighlightTags.filterOptions(items, colorLabels);
+    nav.filter.hidden = !options.length;
+    const filter = HighlightTags.fillFilterSelect(nav.filter, options);
+    const shown = items.filter(item => HighlightTags.matches(item, filter, colorLabels));
+    nav.title.textContent = (shown.length < items.length ? shown.length + ' of ' : '')
+      + (items.length === 1 ? '1 highlight' : items.length + ' highlights');
+
+    const height = Math.max(document.documentElement.scrollHeight, 1);
+    nav.minimap.textContent = '';
+    shown.forEach(item => {
+      const tick = document.createElement('div');
+      tick.className = 'tick';
+      tick.style.top = Math.min(100, (item.rect.top + window.scrollY) / height * 100) + '%';
+      tick.style.backgroundColor = item.color;
+      tick.title = snippet(item.text);
+      tick.addEventListener('click', () => jumpToHighlight(item.id));
+      nav.minimap.appendChild(tick);
+    });
+
+    nav.panel.hidden = !navOpen;
+    nav.list.textContent = '';
+    if (!navOpen) return;
+    shown.forEach(item => {
+      const li = document.createElement('li');
+      const chip = document.createElement('span');
+      chip.className = 'chip';
+      chip.style.backgroundColor = item.color;
+      const text = document.createElement('span');
+      text.className = 'text';
+      text.textContent = snippet(item.text);
+      const tip = tooltipFor(item.id, item.color);
+      if (tip) li.title = tip;
+      li.append(chip, text);
+      li.addEventListener('click', () => jumpToHighlight(item.id));
+      nav.list.appendChild(li);
+    });
+  }
+
+  window.addEventListener('resize', scheduleNavigatorRefresh);
+
+  // ---------- auto-highlight rules ----------
+  // Rules (highlight-rules.js) whose URL pattern matches this page paint
+  // their keyword or pattern matches through CSS.highlights, in a layer of
+  // their own below manual highlights: a light tint with a dotted underline,
+  // so they read differently from anything the user marked. They are not
+  // records and not part of the highlight model, so toggling, undo, the
+  // navigator and exports never see them. The rules search the same text
+  // index that records are placed with, again whenever the page's text, the
+  // rules or the page's switch (prefs.autoOff) change. Browsers without the
+  // Highlight API show no auto highlights.
+  //
+  // Rules are the user's own regular expressions, so matching runs over the
+  // text in chunks of about AUTO_CHUNK_CHARS, cut after whitespace: a pattern
+  // only ever backtracks over one chunk. A pass stops after AUTO_PASS_MS and
+  // the rest is matched in a later task, and a rule that spends
+  // AUTO_SLOW_CHUNK_MS on a single chunk is dropped on this page.
+
+  const AUTO_MAX_MATCHES = 2000;
+  const AUTO_TINT = 0.2;
+  const AUTO_CHUNK_CHARS = 2000;
+  // matches may run this far past the end of their chunk
+  const AUTO_CHUNK_OVERLAP = 200;
+  const AUTO_PASS_MS = 30;
+  const AUTO_SLOW_CHUNK_MS = 200;
+
+  let allAutoRules = [];
+  let autoOffKeys = [];
+  let autoRules = [];
+  let autoOff = false;
+  const autoCounts = new Map(); // rule id -> matches on the page
+  const slowAutoRules = new Set(); // ids of rules dropped on this page
+  let autoLayer = null;
+  let autoTimer = null;
+
+  // Paints ranges through CSS.highlights, one highlight per color named
+  // prefix + hex, styled by the rule cssFor(color) returns. Shadow roots the
+  // ranges are in adopt the stylesheet too. Also used for shared highlights.
+  function createPaintLayer(prefix, priority, cssFor) {
+    const sheet = new CSSStyleSheet();
+    document.adoptedStyleSheets = document.adoptedStyleSheets.concat(sheet);
+    const adopters = new Set();
+    const registered = new Set();
+
+    function adoptSheet(range) {
+      const root = range.startContainer.getRootNode();
+      if (root === document || adopters.has(root) || !root.adoptedStyleSheets) return;
+      root.adoptedStyleSheets = root.adoptedStyleSheets.concat(sheet);
+      adopters.add(root);
+    }
+
+    return {
+      // groups: color -> ranges
+      paint(groups) {
+        registered.forEach(name => CSS.highlights.delete(name));
+        registered.clear();
+        const rules = [];
+        groups.forEach((ranges, color) => {
+          const name = prefix + color.slice(1).toLowerCase();
+          ranges.forEach(adoptSheet);
+          const highlight = new Highlight(...ranges);
+          highlight.priority = priority;
+          CSS.highlights.set(name, highlight);
+          registered.add(name);
+          rules.push('::highlight(' + name + ') { ' + cssFor(color) + ' }');
+        });
+        sheet.replaceSync(rules.join('\n'));
+      }
+    };
+  }
+
+  function createAutoLayer() {
+    return createPaintLayer('__safe_ext_auto_', -1, color => 'background-color: rgba(' + hexToRgb(color).join(', ') + ', '
+      + AUTO_TINT + '); text-decoration-line: underline; text-decoration-style: dotted; text-decoration-color: '
+      + color + '; text-decoration-thickness: 2px;');
+  }
+
+  // picks this page's rules out of prefs; true when they changed
+  function useAutoRules() {
+    const rules = allAutoRules.filter(rule => rule.enabled && HighlightRules.matchesPattern(rule.match, location.href));
+    const off = autoOffKeys.indexOf(activeKey) !== -1;
+    const changed = off !== autoOff || JSON.stringify(rules) !== JSON.stringify(autoRules);
+    autoRules = rules;
+    autoOff = off;
+    return changed;
+  }
+
+  function readAutoPrefs(prefs) {
+    allAutoRules = HighlightRules.rules(prefs);
+    slowAutoRules.clear();
+    autoOffKeys = prefs && Array.isArray(prefs.autoOff) ? prefs.autoOff : [];
+  }
 
-    if (prev && prev.nodeType === Node.ELEMENT_NODE && prev.classList.contains(HIGHLIGHT_CLASS)
-      && prev.dataset.extColor === span.dataset.extColor) {
-      prev.textContent += span.textContent;
-      span.parentNode.removeChild(span);
-      span = prev;
+  // [start, end) pieces of text of about AUTO_CHUNK_CHARS, each ending
+  // after whitespace where there is any, so words are not cut
+  function textChunks(text) {
+    const chunks = [];
+    let start = 0;
+    while (start < text.length) {
+      let end = Math.min(text.length, start + AUTO_CHUNK_CHARS);
+      if (end < text.length) {
+        const cut = text.slice(start, end).search(/\s\S*$/);
+        if (cut > 0) end = start + cut + 1;
+      }
+      chunks.push([start, end]);
+      start = end;
     }
+    return chunks;
+  }
 
-    if (next && next.nodeType === Node.ELEMENT_NODE && next.classList.contains(HIGHLIGHT_CLASS)
-      && next.dataset.extColor === span.dataset.extColor) {
-      span.textContent += next.textContent;
-      next.parentNode.removeChild(next);
+  // Matches the rules chunk by chunk; the layer is painted once every chunk
+  // is done. A refresh that comes in meanwhile starts over.
+  function refreshAutoHighlights(index) {
+    clearTimeout(autoTimer);
+    autoCounts.clear();
+    const active = autoRules.length && !autoOff;
+    if ((!active && !autoLayer) || !highlightApiSupported()) return;
+    if (!autoLayer) autoLayer = createAutoLayer();
+    const groups = new Map();
+    if (!active) {
+      autoLayer.paint(groups);
+      return;
     }
+    if (!index) index = buildTextIndex(document.body);
+    const text = index.text;
+    const chunks = textChunks(text);
+    // from: where the rule's last match ended, so overlaps are not counted twice
+    const work = autoRules.map(rule => ({ rule, re: HighlightRules.regexFor(rule), from: 0 }));
+    autoRules.forEach(rule => autoCounts.set(rule.id, 0));
+    let total = 0;
+    let next = 0;
+
+    const matchChunk = (item, start, end) => {
+      const { rule, re } = item;
+      const piece = text.slice(start, Math.min(text.length, end + AUTO_CHUNK_OVERLAP));
+      const began = Date.now();
+      re.lastIndex = 0;
+      let m;
+      while (total < AUTO_MAX_MATCHES && (m = re.exec(piece)) && m.index < end - start) {
+        if (!m[0].length) {
+          re.lastIndex++;
+          continue;
+        }
+        const at = start + m.index;
+        if (at < item.from) continue;
+        item.from = at + m[0].length;
+        const color = rule.color.toLowerCase();
+        if (!groups.has(color)) groups.set(color, []);
+        groups.get(color).push(...rangesFromOffsets(index, at, item.from));
+        autoCounts.set(rule.id, autoCounts.get(rule.id) + 1);
+        total++;
+      }
+      if (Date.now() - began > AUTO_SLOW_CHUNK_MS) {
+        console.warn('auto-highlight rule "' + (rule.name || rule.id) + '" is too slow here and was skipped');
+        slowAutoRules.add(rule.id);
+      }
+    };
+
+    const pass = () => {
+      const began = Date.now();
+      while (next < chunks.length && total < AUTO_MAX_MATCHES && Date.now() - began < AUTO_PASS_MS) {
+        const [start, end] = chunks[next++];
+        work.forEach(item => {
+          if (!slowAutoRules.has(item.rule.id)) matchChunk(item, start, end);
+        });
+      }
+      if (next < chunks.length && total < AUTO_MAX_MATCHES) autoTimer = setTimeout(pass, 0);
+      else autoLayer.paint(groups);
+    };
+    pass();
   }
 
-  async function persistAllSpans() {
-    const spans = Array.from(document.querySelectorAll('span.' + HIGHLIGHT_CLASS));
-    const arr = spans.map(s => ({
-      id: s.getAttribute('data-ext-id') || genId(),
-      text: s.textContent || '',
-      color: s.getAttribute('data-ext-color') || s.style.backgroundColor || '#fff176',
-      createdAt: Date.now(),
-      updatedAt: Date.now()
-    })).slice(0, MAX_PERSISTED_PER_PAGE);
-    await saveHighlightsArray(arr);
+  function scheduleAutoRefresh() {
+    if (!autoLayer) return;
+    clearTimeout(autoTimer);
+    autoTimer = setTimeout(refreshAutoHighlights, 0);
   }
 
-  async function clearAllHighlights() {
-    document.querySelectorAll('span.' + HIGHLIGHT_CLASS).forEach(span => {
-      const parent = span.parentNode;
-      if (!parent) return;
-      parent.replaceChild(document.createTextNode(span.textContent), span);
-      parent.normalize();
+  function autoHighlightState() {
+    return {
+      supported: highlightApiSupported(),
+      off: autoOff,
+      rules: autoRules.map(rule => ({ id: rule.id, name: rule.name, color: rule.color, count: autoCounts.get(rule.id) || 0 }))
+    };
+  }
+
+  // ---------- shared highlights ----------
+  // A share link (highlight-share.js) carries someone's highlights in its
+  // fragment. They are shown in a layer of their own, like auto highlights,
+  // and a bar at the top of the page offers to save them as the reader's own
+  // records or to dismiss them. The fragment is taken out of the address bar
+  // once read, so a reload or bookmark is the plain page. Quotes are placed
+  // with the same anchoring as stored records, again as late content arrives.
+  // Leaving the page for another route dismisses them.
+
+  const SHARED_TINT = 0.45;
+  const SAVE_SHARED_LABEL = 'Save shared highlights';
+
+  let sharedItems = [];
+  let sharedPlaced = []; // { item, start, end } for the quotes found on the page
+  let sharedLayer = null;
+  let sharedBar = null;
+  let sharedTimer = null;
+
+  function createSharedLayer() {
+    return createPaintLayer('__safe_ext_shared_', 0, color => 'background-color: rgba(' + hexToRgb(color).join(', ') + ', '
+      + SHARED_TINT + '); text-decoration-line: underline; text-decoration-style: dashed; text-decoration-color: '
+      + color + ';');
+  }
+
+  function buildSharedBar() {
+    const host = document.createElement('div');
+    host.setAttribute('data-ext-shared', '');
+    const root = host.attachShadow({ mode: 'closed' });
+
+    const style = document.createElement('style');
+    style.textContent = `
+      .bar { position: fixed; z-index: 2147483647; top: 12px; left: 50%; transform: translateX(-50%);
+        display: flex; gap: 8px; align-items: center; max-width: calc(100vw - 40px); padding: 6px 10px;
+        background: #fafafa; color: #222; border: 1px solid #ccc; border-radius: 6px;
+        box-shadow: 0 4px 14px rgba(0, 0, 0, 0.2); font: 13px/1.4 sans-serif; }
+      .text.error { color: #b00020; }
+      button { font: 12px sans-serif; padding: 3px 8px; cursor: pointer; }
+      button[hidden] { display: none; }`;
+
+    const bar = document.createElement('div');
+    bar.className = 'bar';
+    const text = document.createElement('span');
+    text.className = 'text';
+    const save = document.createElement('button');
+    save.textContent = 'Save to my highlights';
+    save.addEventListener('click', saveSharedHighlights);
+    const dismiss = document.createElement('button');
+    dismiss.textContent = 'Dismiss';
+    dismiss.title = 'Hide the shared highlights';
+    dismiss.addEventListener('click', dismissSharedHighlights);
+    bar.append(text, save, dismiss);
+
+    root.append(style, bar);
+    document.documentElement.appendChild(host);
+    return { host, text, save };
+  }
+
+  function showSharedBar(error) {
+    if (!sharedBar) sharedBar = buildSharedBar();
+    const total = sharedItems.length;
+    const found = sharedPlaced.length;
+    const count = n => n + ' shared highlight' + (n === 1 ? '' : 's');
+    sharedBar.text.classList.toggle('error', !!error);
+    sharedBar.text.textContent = error
+      || (found === total ? count(total) + ' on this page.'
+        : found ? count(total) + ', ' + (total - found) + ' not found on this page.'
+          : 'None of the ' + count(total) + ' could be found on this page.');
+    sharedBar.save.hidden = !found;
+  }
+
+  function refreshSharedHighlights(index) {
+    clearTimeout(sharedTimer);
+    if (!sharedItems.length) return;
+    if (!index) index = buildTextIndex(document.body);
+    const groups = new Map();
+    sharedPlaced = [];
+    sharedItems.forEach(item => {
+      let found = null;
+      try {
+        found = locateRecord(item, index);
+      } catch (e) {
+        found = null;
+      }
+      if (!found || found.end <= found.start) return;
+      sharedPlaced.push({ item, start: found.start, end: found.end });
+      const color = item.color.toLowerCase();
+      if (!groups.has(color)) groups.set(color, []);
+      groups.get(color).push(...rangesFromOffsets(index, found.start, found.end));
     });
-    await saveHighlightsArray([]);
-    return true;
+    if (highlightApiSupported()) {
+      if (!sharedLayer) sharedLayer = createSharedLayer();
+      sharedLayer.paint(groups);
+    }
+    showSharedBar();
+  }
+
+  function scheduleSharedRefresh() {
+    if (!sharedItems.length) return;
+    clearTimeout(sharedTimer);
+    sharedTimer = setTimeout(refreshSharedHighlights, 0);
   }
 
-  async function reapplyOnLoad() {
+  function dismissSharedHighlights() {
+    clearTimeout(sharedTimer);
+    sharedItems = [];
+    sharedPlaced = [];
+    if (sharedLayer) sharedLayer.paint(new Map());
+    if (sharedBar) sharedBar.host.remove();
+    sharedBar = null;
+  }
+
+  // the shared quotes that were found become highlights of the page, merged
+  // with ones of the same look like any other; saving is one undoable step
+  async function saveSharedHighlights() {
+    refreshSharedHighlights();
+    if (!sharedPlaced.length) return;
+    const index = buildTextIndex(document.body);
+    const before = currentHighlights(index);
+    const after = sharedPlaced.reduce((list, p) => addInterval(list, index.text, p.start, p.end, p.item), before);
+    commitHighlights(index, before, after);
     try {
-      const highlights = await readHighlightsArray();
-      if (!highlights || !highlights.length) return;
-      for (const rec of highlights) {
-        if (!rec.text || !rec.color) continue;
-        applyQuote(rec);
+      await persistHighlights(SAVE_SHARED_LABEL, index);
+    } catch (e) {
+      console.error('save shared highlights error', e);
+      showSharedBar(errorCode(e) === HighlightStore.FULL
+        ? 'Storage is full: the shared highlights are not saved.'
+        : 'The shared highlights could not be saved.');
+      return;
+    }
+    dismissSharedHighlights();
+  }
+
+  // reads a share link's highlights and takes them out of the address bar
+  function readSharedLink() {
+    if (!HighlightShare.isShareHash(location.hash)) return;
+    const items = HighlightShare.parseHash(location.hash);
+    history.replaceState(history.state, '', location.href.split('#')[0]);
+    if (!items) return;
+    dismissSharedHighlights();
+    sharedItems = items;
+    refreshSharedHighlights();
+  }
+
+  window.addEventListener('hashchange', readSharedLink);
+
+  // the link the popup copies: this page's highlights in document order
+  function shareLink() {
+    const index = buildTextIndex(document.body);
+    const items = currentHighlights(index).map(h => Object.assign({ color: h.color, style: styleOf(h) }, describeOffsets(index, h.start, h.end)));
+    return Object.assign({ total: items.length }, HighlightShare.buildLink(location.href, items));
+  }
+
+  // ---------- pen mode ----------
+  // With pen mode on, every text selection made with the mouse is highlighted
+  // as soon as the button is released, in the last picked color and style
+  // (which the palette commands change too). Selections are always
+  // highlighted, never toggled off; the "remove highlight" command removes
+  // them. It is switched per tab by a command, and lasts until it is
+  // switched off or the page is left; the service worker tells every frame of
+  // the tab. The top frame shows an indicator while it is on, which can also
+  // switch it off; short notices (from the commands and the right-click menu)
+  // show in the frame they are about. Selections in editable fields and in
+  // our own panels are left alone.
+
+  const DEFAULT_COLOR = '#fff176';
+  const NOTICE_MS = 1800;
+  const OWN_UI = '[data-ext-navigator], [data-ext-note-editor], [data-ext-note-tip], [data-ext-shared], [data-ext-pen]';
+
+  let penOn = false;
+  let penLook = { color: DEFAULT_COLOR, style: DEFAULT_STYLE };
+  let penBadge = null;
+  let noticeTimer = null;
+
+  function buildPenBadge() {
+    const host = document.createElement('div');
+    host.setAttribute('data-ext-pen', '');
+    const root = host.attachShadow({ mode: 'closed' });
+
+    const style = document.createElement('style');
+    style.textContent = `
+      .box { position: fixed; z-index: 2147483647; left: 14px; bottom: 16px; display: flex; flex-direction: column;
+        align-items: flex-start; gap: 6px; font: 12px/1.4 sans-serif; }
+      .pill { display: flex; gap: 6px; align-items: center; padding: 4px 9px; color: #222; background: #fafafa;
+        border: 1px solid #ccc; border-radius: 12px; box-shadow: 0 2px 8px rgba(0, 0, 0, 0.2); }
+      .pill[hidden] { display: none; }
+      .swatch { width: 12px; height: 12px; border-radius: 3px; border: 1px solid #999; }
+      .pen { font-weight: bold; }
+      .off { border: 0; background: none; font: inherit; font-size: 14px; line-height: 1; cursor: pointer; color: #666; }`;
+
+    const box = document.createElement('div');
+    box.className = 'box';
+    const notice = document.createElement('div');
+    notice.className = 'pill';
+    notice.hidden = true;
+    const noticeSwatch = document.createElement('span');
+    noticeSwatch.className = 'swatch';
+    const noticeText = document.createElement('span');
+    notice.append(noticeSwatch, noticeText);
+
+    const pen = document.createElement('div');
+    pen.className = 'pill pen';
+    pen.hidden = true;
+    const swatch = document.createElement('span');
+    swatch.className = 'swatch';
+    const label = document.createElement('span');
+    const off = document.createElement('button');
+    off.className = 'off';
+    off.textContent = '×';
+    off.title = 'Turn pen mode off';
+    off.addEventListener('click', () => {
+      setPenMode(false);
+      // and in the tab's other frames
+      try {
+        chrome.runtime.sendMessage({ action: 'setPenMode', on: false }, () => void chrome.runtime.lastError);
+      } catch (err) {
+        // extension reloaded; this frame is all that is left to switch off
       }
+    });
+    pen.append(swatch, label, off);
+    box.append(notice, pen);
+
+    root.append(style, box);
+    document.documentElement.appendChild(host);
+    return { host, pen, swatch, label, notice, noticeSwatch, noticeText };
+  }
+
+  function penBadgeUi() {
+    if (!penBadge) penBadge = buildPenBadge();
+    return penBadge;
+  }
+
+  function showPenState() {
+    if ((!penOn && !penBadge) || window !== window.top) return;
+    const ui = penBadgeUi();
+    const name = HighlightTags.labelFor(colorLabels, penLook.color);
+    ui.pen.hidden = !penOn;
+    ui.swatch.style.background = penLook.color;
+    ui.label.textContent = '✎ Pen mode' + (name ? ': ' + name : '');
+    ui.pen.title = 'Selections are highlighted in ' + penLook.color + (name ? ' (' + name + ')' : '') + ' as you make them';
+  }
+
+  function showNotice(text, color) {
+    const ui = penBadgeUi();
+    if (!ui) return;
+    ui.noticeSwatch.hidden = !isValidHexColor(color);
+    if (isValidHexColor(color)) ui.noticeSwatch.style.background = color;
+    ui.noticeText.textContent = text;
+    ui.notice.hidden = false;
+    clearTimeout(noticeTimer);
+    noticeTimer = setTimeout(() => { ui.notice.hidden = true; }, NOTICE_MS);
+  }
+
+  function readPenPrefs(prefs) {
+    penLook = {
+      color: prefs && isValidHexColor(prefs.lastColor) ? prefs.lastColor : DEFAULT_COLOR,
+      style: styleOf({ style: prefs && prefs.lastStyle })
+    };
+    showPenState();
+  }
+
+  function setPenMode(on) {
+    penOn = on;
+    showPenState();
+  }
+
+  function isEditable(el) {
+    return !!(el && el.closest && (el.isContentEditable || el.closest('input, textarea, select, [contenteditable]')));
+  }
+
+  async function penHighlight() {
+    const index = buildTextIndex(document.body);
+    const range = readSelection(index);
+    if (!range) return;
+    try {
+      if (toggleRange(index, range, penLook, true)) await persistHighlights('Highlight', index);
+      window.getSelection().removeAllRanges();
     } catch (e) {
-      console.error('reapplyOnLoad error', e);
+      console.error('pen highlight error', e);
+      showNotice(errorCode(e) === HighlightStore.FULL
+        ? 'Storage is full: the highlight is not saved.'
+        : 'The highlight could not be saved.');
+    }
+  }
+
+  document.addEventListener('mouseup', (e) => {
+    if (!penOn || e.button !== 0) return;
+    const target = eventTarget(e);
+    if (isEditable(target) || (target && target.closest && target.closest(OWN_UI))) return;
+    // the selection is final once the mouseup has been handled
+    setTimeout(penHighlight, 0);
+  }, true);
+
+  // Removes every whole highlight the selection touches, or the one the
+  // caret is in; returns how many, or null without a selection
+  function removeAtSelection(index) {
+    const sel = window.getSelection();
+    const range = selectionRange(index) || (sel && sel.rangeCount ? sel.getRangeAt(0) : null);
+    if (!range) return null;
+    const { start, end } = rangeOffsets(index, range);
+    const before = currentHighlights(index);
+    const hit = new Set(before.filter(h => (start === end ? h.start <= start && start <= h.end : h.start < end && h.end > start)).map(h => h.id));
+    if (hit.size) commitHighlights(index, before, before.filter(h => !hit.has(h.id)));
+    return hit.size;
+  }
+
+  // ---------- routes and late content ----------
+  // Single-page apps render content after load and navigate with
+  // history.pushState. A MutationObserver retries the records that could not
+  // be placed yet as content arrives, and each check also notices a changed
+  // URL: the previous route's highlights are removed and the new route's
+  // records are loaded under its own storage key.
+  //
+  // Only changes to page text count; our own hosts coming and going do not.
+  // A check runs RETRY_DELAY_MS after the first change. While the page keeps
+  // changing (feeds, tickers, live editors) each wait is twice the last, up
+  // to MAX_RETRY_DELAY_MS; a change after a quiet spell starts over.
+
+  let retryTimer = null;
+  let retryDelay = RETRY_DELAY_MS;
+  let lastChange = 0;
+  let orphanTimer = null;
+
+  // text an added or removed node brings or takes with it
+  function holdsPageText(node) {
+    if (node.nodeType === Node.TEXT_NODE) return /\S/.test(node.nodeValue);
+    if (node.nodeType !== Node.ELEMENT_NODE || node.matches(OWN_UI)) return false;
+    // shadow hosts and custom elements can show text their children do not have
+    return !!node.shadowRoot || node.localName.indexOf('-') !== -1 || /\S/.test(node.textContent);
+  }
+
+  function changesPageText(m) {
+    const parent = m.target.nodeType === Node.ELEMENT_NODE ? m.target : m.target.parentElement;
+    if (parent && SKIPPED_TEXT_PARENTS.indexOf(parent.tagName) !== -1) return false;
+    if (m.type === 'characterData') return true;
+    return Array.from(m.addedNodes).some(holdsPageText) || Array.from(m.removedNodes).some(holdsPageText);
+  }
+
+  function retryLateContent() {
+    retryTimer = null;
+    if (checkRoute()) return; // the new route loads and draws its own
+    const index = buildTextIndex(document.body);
+    retryPending(index);
+    refreshAutoHighlights(index);
+    refreshSharedHighlights(index);
+    // late content moves highlights down the page
+    if (nav && nav.host.style.display !== 'none') scheduleNavigatorRefresh();
+  }
+
+  const OBSERVED_CHANGES = { childList: true, subtree: true, characterData: true };
+  const observer = new MutationObserver(mutations => {
+    if (!mutations.some(changesPageText)) return;
+    const now = Date.now();
+    const busy = now - lastChange < retryDelay;
+    lastChange = now;
+    if (retryTimer) return;
+    retryDelay = busy ? Math.min(retryDelay * 2, MAX_RETRY_DELAY_MS) : RETRY_DELAY_MS;
+    retryTimer = setTimeout(retryLateContent, retryDelay);
+  });
+
+  // run our own DOM changes without waking the observer for them
+  function mutateQuietly(fn) {
+    try {
+      return fn();
+    } finally {
+      observer.takeRecords();
     }
   }
 
-  function applyQuote(rec) {
+  async function loadActiveRoute() {
+    const key = activeKey;
     try {
-      const needle = rec.text;
-      if (!needle) return false;
-      const walker = document.createTreeWalker(document.body, NodeFilter.SHOW_TEXT, {
-        acceptNode(node) {
-          if (!node.nodeValue) return NodeFilter.FILTER_REJECT;
-          const parent = node.parentElement;
-          if (!parent) return NodeFilter.FILTER_REJECT;
-          if (parent.closest && parent.closest('.' + HIGHLIGHT_CLASS)) return NodeFilter.FILTER_REJECT;
-          if (parent.tagName === 'SCRIPT' || parent.tagName === 'STYLE') return NodeFilter.FILTER_REJECT;
-          return NodeFilter.FILTER_ACCEPT;
-        }
+      const adopted = await adoptRecords();
+      const highlights = await readHighlightsArray();
+      if (key !== activeKey) return; // navigated again while reading
+      // adopted records may already be drawn by the storage listener
+      const shown = new Set(adopted ? currentHighlights(buildTextIndex(document.body)).map(h => h.id) : []);
+      pending = applyQuotes(highlights.filter(rec => rec && rec.text && isValidHexColor(rec.color) && !shown.has(rec.id)));
+      if (pending.length || highlights.some(rec => rec && rec.orphaned)) scheduleOrphanCheck();
+    } catch (e) {
+      console.error('loadActiveRoute error', e);
+    }
+  }
+
+  // Keys this page was filed under before the current URL rules: without a
+  // rule for the site, and with or without its canonical link. A rule that
+  // now keeps a query parameter splits one shared entry into several, which
+  // cannot be done without the pages, so each page takes over the records of
+  // the old entry that sit exactly where they were made on it.
+  function legacyKeys() {
+    const keys = new Set([
+      HighlightKeys.keyForUrl(location.href, {}),
+      HighlightKeys.keyForUrl(location.href, keyRules),
+      HighlightKeys.keyForUrl(location.href, keyRules, canonicalHref())
+    ]);
+    keys.delete(activeKey);
+    keys.delete(null);
+    return Array.from(keys);
+  }
+
+  // resolves to true when records were moved to the active key
+  async function adoptRecords() {
+    const keys = legacyKeys();
+    if (!keys.length) return false;
+    const key = activeKey;
+    const stored = await Promise.all(keys.map(oldKey => HighlightStore.readPage(oldKey)));
+    const current = await readHighlightsArray();
+    if (key !== activeKey) return false;
+    const next = current.slice();
+    const present = new Set(current.map(rec => rec.id));
+    const index = buildTextIndex(document.body);
+    const rests = [];
+    keys.forEach((oldKey, i) => {
+      const records = stored[i];
+      const mine = records.filter(rec => rec && rec.id && !present.has(rec.id) && locateExact(rec, index) !== -1);
+      if (!mine.length) return;
+      mine.forEach(rec => {
+        present.add(rec.id);
+        next.push(rec);
       });
+      const moved = new Set(mine.map(rec => rec.id));
+      rests.push([oldKey, records.filter(rec => !moved.has(rec.id)), records]);
+    });
+    if (!rests.length) return false;
+    await saveHighlightsArray(next, current);
+    for (const [oldKey, rest, records] of rests) await HighlightStore.writePage(oldKey, rest, records);
+    return true;
+  }
 
-      const nodes = [];
-      let node;
-      let total = 0;
-      while (node = walker.nextNode()) {
-        nodes.push({ node, start: total, end: total + node.nodeValue.length });
-        total += node.nodeValue.length;
+  function retryPending(index) {
+    if (!pending.length) return;
+    const before = pending.length;
+    pending = applyQuotes(pending, index);
+    if (pending.length !== before) scheduleOrphanCheck();
+  }
+
+  // ---------- orphans ----------
+  // Records that still cannot be placed after ORPHAN_GRACE_MS are flagged
+  // `orphaned` in storage (and unflagged once they anchor again). They are
+  // never dropped implicitly: persistHighlights keeps them, the popup lists
+  // them, and the user re-attaches them to a new selection or deletes them.
+
+  function scheduleOrphanCheck() {
+    clearTimeout(orphanTimer);
+    orphanTimer = setTimeout(syncOrphanFlags, ORPHAN_GRACE_MS);
+  }
+
+  async function syncOrphanFlags() {
+    const unplaced = new Set(pending.map(rec => rec.id));
+    const arr = await readHighlightsArray();
+    let changed = false;
+    arr.forEach(rec => {
+      if (unplaced.has(rec.id) && !rec.orphaned) {
+        rec.orphaned = true;
+        changed = true;
+      } else if (!unplaced.has(rec.id) && rec.orphaned) {
+        delete rec.orphaned;
+        changed = true;
       }
-      if (!nodes.length) return false;
+    });
+    pending.forEach(rec => {
+      rec.orphaned = true;
+    });
+    if (changed) await saveHighlightsArray(arr);
+  }
+
+  function reattachOrphan(index, id, range) {
+    const rec = pending.find(r => r.id === id);
+    if (!rec) return false;
+    const { start, end } = rangeOffsets(index, range);
+    if (end <= start) return false;
+    setHighlightMeta(rec.id, rec);
+    if (!placeHighlight(index, start, end, rec, rec.id)) return false;
+    pending = pending.filter(r => r.id !== id);
+    return true;
+  }
 
-      const combined = nodes.map(n => n.node.nodeValue).join('');
-      const idx = combined.indexOf(needle);
-      if (idx === -1) return false;
+  async function deleteOrphan(id) {
+    const arr = await readHighlightsArray();
+    await HighlightTrash.add(activeKey, arr.filter(r => r.id === id), 'orphan');
+    pending = pending.filter(r => r.id !== id);
+    await saveHighlightsArray(arr.filter(r => r.id !== id), arr);
+  }
 
-      const startInfo = nodes.find(n => n.start <= idx && n.end > idx);
-      const endInfo = nodes.find(n => n.start <= idx + needle.length - 1 && n.end > idx + needle.length - 1);
-      if (!startInfo || !endInfo) return false;
+  // returns true when the URL now maps to a different storage key
+  function checkRoute() {
+    const key = storageKey();
+    if (key === activeKey) return false;
+    closeNoteEditor();
+    hideNoteTip();
+    contextTarget = null;
+    renderer.clear();
+    highlightMeta.clear();
+    activeKey = key;
+    pending = [];
+    clearTimeout(orphanTimer);
+    dismissSharedHighlights();
+    loadActiveRoute();
+    useAutoRules();
+    refreshAutoHighlights();
+    return true;
+  }
 
-      const startOffset = idx - startInfo.start;
-      const endOffset = startInfo === endInfo ? startOffset + needle.length : idx + needle.length - endInfo.start;
-      const range = document.createRange();
-      range.setStart(startInfo.node, startOffset);
-      range.setEnd(endInfo.node, endOffset);
-      insertHighlightForRange(range, rec.color);
-      return true;
-    } catch (e) {
-      return false;
+  window.addEventListener('popstate', checkRoute);
+  if (window.navigation && window.navigation.addEventListener) {
+    window.navigation.addEventListener('navigatesuccess', checkRoute);
+  }
+
+  // ---------- history ----------
+  // Undo/redo per page, kept in storage under `history::<origin>::<path>`
+  // so it outlives the popup and page reloads. A step stores only the records
+  // it replaced (`removed`) and the ones it wrote (`added`); undo swaps them
+  // back into the page's records and redraws from storage.
+
+  function historyKey() {
+    return HISTORY_PREFIX + activeKey.slice(STORAGE_PREFIX.length);
+  }
+
+  function readHistory() {
+    const key = historyKey();
+    return new Promise(resolve => chrome.storage.local.get(key, obj => {
+      const h = obj[key] || {};
+      resolve({ undo: Array.isArray(h.undo) ? h.undo : [], redo: Array.isArray(h.redo) ? h.redo : [] });
+    }));
+  }
+
+  function saveHistory(history) {
+    const key = historyKey();
+    if (!history.undo.length && !history.redo.length) {
+      return new Promise(resolve => chrome.storage.local.remove(key, () => resolve()));
     }
+    return new Promise(resolve => chrome.storage.local.set({ [key]: history }, () => resolve()));
+  }
+
+  async function recordHistory(label, before, after) {
+    const byId = list => new Map(list.map(r => [r.id, JSON.stringify(r)]));
+    const was = byId(before);
+    const now = byId(after);
+    const removed = before.filter(r => now.get(r.id) !== was.get(r.id));
+    const added = after.filter(r => was.get(r.id) !== now.get(r.id));
+    if (!removed.length && !added.length) return;
+    const history = await readHistory();
+    history.undo = history.undo.concat({ label, removed, added }).slice(-MAX_HISTORY_STEPS);
+    history.redo = [];
+    await saveHistory(history);
+  }
+
+  function swapRecords(records, drop, add) {
+    const ids = new Set(drop.map(r => r.id).concat(add.map(r => r.id)));
+    return records.filter(r => !ids.has(r.id)).concat(add);
+  }
+
+  // redo when forward is true; returns the step's label or null
+  async function stepHistory(forward) {
+    const history = await readHistory();
+    const step = (forward ? history.redo : history.undo).pop();
+    if (!step) return null;
+    const arr = await readHighlightsArray();
+    const next = forward ? swapRecords(arr, step.removed, step.added) : swapRecords(arr, step.added, step.removed);
+    (forward ? history.undo : history.redo).push(step);
+    await saveHighlightsArray(next, arr);
+    await saveHistory(history);
+    redrawFromRecords(next);
+    return step.label;
+  }
+
+  function redrawFromRecords(records) {
+    closeNoteEditor();
+    renderer.clear();
+    highlightMeta.clear();
+    pending = applyQuotes(records.filter(rec => rec && rec.text && isValidHexColor(rec.color)));
+    if (pending.length || records.some(rec => rec && rec.orphaned)) scheduleOrphanCheck();
+  }
+
+  async function historyState() {
+    const history = await readHistory();
+    const last = list => (list.length ? list[list.length - 1].label : null);
+    return { undo: last(history.undo), redo: last(history.redo) };
+  }
+
+  // Places stored records on the page and returns the ones that could not be
+  // placed. The page text is indexed once for all of them and the renderer
+  // draws them in one pass, instead of walking the page once per record.
+  function applyQuotes(records, index) {
+    if (!records.length) return [];
+    if (!index) index = buildTextIndex(document.body);
+    const before = currentHighlights(index);
+    const present = new Set(before.map(h => h.id));
+    const placed = [];
+    const unplaced = [];
+    records.forEach(rec => {
+      // already on the page (or listed twice)
+      if (present.has(rec.id)) return;
+      let found = null;
+      try {
+        found = locateRecord(rec, index);
+      } catch (e) {
+        found = null;
+      }
+      if (!found || found.end <= found.start) {
+        unplaced.push(rec);
+        return;
+      }
+      present.add(rec.id);
+      setHighlightMeta(rec.id, rec);
+      placed.push({ id: rec.id, color: rec.color, style: styleOf(rec), start: found.start, end: found.end });
+    });
+    if (!placed.length) return unplaced;
+    // restored highlights keep their ids and are never merged, so this is
+    // what addInterval would build one record at a time
+    if (commitHighlights(index, before, before.concat(placed).sort(byStart))) return unplaced;
+    // some text could not be drawn (e.g. it is all layout whitespace)
+    const drawn = new Set(currentHighlights(index).map(h => h.id));
+    const tried = new Set(placed.map(h => h.id));
+    return unplaced.concat(records.filter(rec => tried.has(rec.id) && !drawn.has(rec.id)));
+  }
+
+  // a full storage is reported as such, so the popup can say what happened
+  function errorCode(e) {
+    return e && e.message === HighlightStore.FULL ? HighlightStore.FULL : 'exception';
   }
 
   chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
     (async () => {
       if (!msg || !msg.action) return sendResponse({ ok: false, err: 'bad_message' });
+      checkRoute();
 
       if (msg.action === 'highlight') {
         const color = (msg.color || '').trim();
         if (!isValidHexColor(color)) return sendResponse({ ok: false, err: 'invalid_color' });
+        const style = msg.style === undefined ? DEFAULT_STYLE : msg.style;
+        if (HIGHLIGHT_STYLES.indexOf(style) === -1) return sendResponse({ ok: false, err: 'invalid_style' });
 
-        const sel = window.getSelection();
-        if (!sel || sel.isCollapsed || !sel.toString().trim()) return sendResponse({ ok: false, err: 'no_selection' });
+        const index = buildTextIndex(document.body);
+        const range = readSelection(index);
+        if (!range) return sendResponse({ ok: false, err: 'no_selection' });
 
         try {
-          const range = sel.getRangeAt(0).cloneRange();
-          const fullyHighlighted = selectionIsFullyHighlighted(range);
-
-          if (fullyHighlighted) {
-            // Remove highlights that intersect the selection
-            const removed = removeHighlightsIntersectingRange(range);
-            if (removed) {
-              await persistAllSpans();
-              sel.removeAllRanges();
-              return sendResponse({ ok: true, removed: true });
-            }
-          }
-
-          // Apply highlight to partially or non-highlighted selection
-          const applied = insertHighlightForRange(range, color);
-          if (applied) await persistAllSpans();
-          sel.removeAllRanges();
-          return sendResponse({ ok: true, applied: applied });
+          // fully highlighted selections are un-highlighted, anything else is highlighted
+          const result = toggleRange(index, range, { color, style }, msg.force === true);
+          if (result) await persistHighlights(result === 'removed' ? REMOVE_LABEL : 'Highlight', index);
+          window.getSelection().removeAllRanges();
+          if (result === 'removed') return sendResponse({ ok: true, removed: true });
+          return sendResponse({ ok: true, applied: result === 'applied' });
 
         } catch (e) {
           console.error('highlight message error', e);
-          return sendResponse({ ok: false, err: 'exception' });
+          return sendResponse({ ok: false, err: errorCode(e) });
+        }
+      } else if (msg.action === 'recolorHighlight') {
+        const color = (msg.color || '').trim();
+        if (!isValidHexColor(color)) return sendResponse({ ok: false, err: 'invalid_color' });
+        const id = targetOf(msg);
+        const index = buildTextIndex(document.body);
+        if (!id || !recolorHighlight(index, id, color)) return sendResponse({ ok: false, err: 'not_found' });
+        await persistHighlights('Change color', index);
+        return sendResponse({ ok: true });
+      } else if (msg.action === 'removeHighlight') {
+        const id = targetOf(msg);
+        const index = buildTextIndex(document.body);
+        if (!id || !removeHighlight(index, id)) return sendResponse({ ok: false, err: 'not_found' });
+        await persistHighlights(REMOVE_LABEL, index);
+        return sendResponse({ ok: true });
+      } else if (msg.action === 'editNote') {
+        const id = targetOf(msg);
+        const rect = id ? renderer.rectOf(id) : null;
+        if (!rect) return sendResponse({ ok: false, err: 'not_found' });
+        await openNoteEditor(id, rect);
+        return sendResponse({ ok: true });
+      } else if (msg.action === 'copyHighlight') {
+        const id = targetOf(msg);
+        const text = id ? highlightText(id) : null;
+        if (text === null) return sendResponse({ ok: false, err: 'not_found' });
+        if (!(await copyText(text))) return sendResponse({ ok: false, err: 'clipboard' });
+        return sendResponse({ ok: true });
+      } else if (msg.action === 'undo' || msg.action === 'redo') {
+        const label = await stepHistory(msg.action === 'redo');
+        if (!label) return sendResponse({ ok: false, err: 'nothing_to_' + msg.action });
+        return sendResponse(Object.assign({ ok: true, label }, await historyState()));
+      } else if (msg.action === 'historyState') {
+        return sendResponse(Object.assign({ ok: true }, await historyState()));
+      } else if (msg.action === 'autoHighlightState') {
+        return sendResponse(Object.assign({ ok: true, key: activeKey }, autoHighlightState()));
+      } else if (msg.action === 'removeAtSelection') {
+        try {
+          const index = buildTextIndex(document.body);
+          const removed = removeAtSelection(index);
+          if (removed === null) return sendResponse({ ok: false, err: 'no_selection' });
+          if (!removed) return sendResponse({ ok: false, err: 'not_found' });
+          await persistHighlights(REMOVE_LABEL, index);
+          window.getSelection().removeAllRanges();
+          return sendResponse({ ok: true, removed });
+        } catch (e) {
+          console.error('removeAtSelection error', e);
+          return sendResponse({ ok: false, err: errorCode(e) });
+        }
+      } else if (msg.action === 'penMode') {
+        return sendResponse({ ok: true, on: penOn });
+      } else if (msg.action === 'setPenMode') {
+        setPenMode(msg.on === true);
+        return sendResponse({ ok: true, on: penOn });
+      } else if (msg.action === 'showNotice') {
+        if (typeof msg.text !== 'string') return sendResponse({ ok: false, err: 'bad_message' });
+        showNotice(msg.text.slice(0, 200), msg.color);
+        return sendResponse({ ok: true });
+      } else if (msg.action === 'shareLink') {
+        const link = shareLink();
+        if (!link.total) return sendResponse({ ok: false, err: 'no_highlights' });
+        if (!link.count) return sendResponse({ ok: false, err: 'too_long' });
+        return sendResponse({ ok: true, url: link.url, count: link.count, total: link.total });
+      } else if (msg.action === 'pageKey') {
+        // the storage key this page's highlights are filed under
+        return sendResponse({ ok: true, key: activeKey });
+      } else if (msg.action === 'listHighlights') {
+        // placed highlights in document order, with the stored record's details
+        const records = new Map((await readHighlightsArray()).map(r => [r.id, r]));
+        const index = buildTextIndex(document.body);
+        const highlights = currentHighlights(index).map(h => {
+          const rec = records.get(h.id) || {};
+          return {
+            id: h.id,
+            text: index.text.slice(h.start, h.end),
+            color: h.color,
+            style: styleOf(h),
+            note: rec.note || '',
+            tags: HighlightTags.parseTags(rec.tags),
+            createdAt: rec.createdAt || null
+          };
+        });
+        return sendResponse({ ok: true, highlights });
+      } else if (msg.action === 'scrollToHighlight') {
+        if (!jumpToHighlight(msg.id)) return sendResponse({ ok: false, err: 'not_found' });
+        return sendResponse({ ok: true });
+      } else if (msg.action === 'jumpHighlight') {
+        const id = jumpRelative(msg.direction === 'previous' ? -1 : 1);
+        if (!id) return sendResponse({ ok: false, err: 'no_highlights' });
+        return sendResponse({ ok: true, id });
+      } else if (msg.action === 'listOrphans') {
+        const orphans = pending.map(r => ({ id: r.id, text: r.text, color: r.color, note: r.note || '', createdAt: r.createdAt }));
+        return sendResponse({ ok: true, orphans });
+      } else if (msg.action === 'reattachOrphan') {
+        const index = buildTextIndex(document.body);
+        const range = readSelection(index);
+        if (!range) return sendResponse({ ok: false, err: 'no_selection' });
+        try {
+          const attached = reattachOrphan(index, msg.id, range);
+          if (!attached) return sendResponse({ ok: false, err: 'not_found' });
+          await persistHighlights(null, index);
+          window.getSelection().removeAllRanges();
+          return sendResponse({ ok: true });
+        } catch (e) {
+          console.error('reattachOrphan error', e);
+          return sendResponse({ ok: false, err: errorCode(e) });
         }
+      } else if (msg.action === 'deleteOrphan') {
+        await deleteOrphan(msg.id);
+        return sendResponse({ ok: true });
       } else if (msg.action === 'clearAll') {
         try {
           await clearAllHighlights();
           return sendResponse({ ok: true });
         } catch (e) {
-          return sendResponse({ ok: false });
+          return sendResponse({ ok: false, err: errorCode(e) });
         }
       } else {
         return sendResponse({ ok: false, err: 'unknown_action' });
       }
-    })();
+    })().catch(e => {
+      console.error('message error', e);
+      sendResponse({ ok: false, err: errorCode(e) });
+    });
     return true;
   });
 
-  reapplyOnLoad();
+  observer.observe(document.body, OBSERVED_CHANGES);
+  readPrefs().then(prefs => {
+    colorLabels = HighlightTags.labels(prefs);
+    keyRules = prefs.keyRules || {};
+    activeKey = storageKey();
+    useRenderer(rendererForPrefs(prefs));
+    loadActiveRoute();
+    readAutoPrefs(prefs);
+    useAutoRules();
+    refreshAutoHighlights();
+    readSharedLink();
+    readPenPrefs(prefs);
+  });
 })();
@@ -0,0 +1,377 @@
+// highlight-api.js - Versioned API for other extensions and web pages, served
+// by the service worker through chrome.runtime.onMessageExternal and
+// onConnectExternal (README.md, "External API").
+//
+// Only callers in the manifest's `externally_connectable` allowlist get in:
+// extensions by id (`ids`) and pages by match pattern (`matches`). The
+// browser enforces that list too; it is checked again here so a missing or
+// widened manifest entry never opens the API to everyone.
+//
+// A request is { version: 1, method, params } and the reply is
+// { ok: true, version, result } or { ok: false, version, err, message, field? }.
+// Params are checked against the method's schema: unknown or missing fields
+// and invalid values are refused with an error code, and records are stored
+// through HighlightIO.sanitizeRecord like an import. Changes are pushed to
+// ports that sent { method: 'subscribe' } as { event: 'changed', ... }.
+
+const HighlightAPI = (() => {
+  const API_VERSION = 1;
+  const PREF_KEY = 'highlighter_prefs_v1';
+  const DEFAULT_COLOR = '#fff176';
+  const HIGHLIGHT_STYLES = ['background', 'underline', 'wavy', 'outline', 'text'];
+  // same limits as highlight-io.js
+  const MAX_TEXT_LENGTH = 10000;
+  const MAX_CONTEXT_LENGTH = 200;
+  const MAX_NOTE_LENGTH = 2000;
+  const MAX_TITLE_LENGTH = 500;
+
+  const MESSAGES = {
+    forbidden: 'This caller is not in the extension\'s externally_connectable allowlist.',
+    invalid_request: 'A request is an object: { version, method, params }.',
+    unsupported_version: 'Only API version ' + API_VERSION + ' is supported.',
+    unknown_method: 'Unknown method.',
+    unknown_param: 'This method does not take that parameter.',
+    missing_param: 'A required parameter is missing.',
+    invalid_url: 'Expected an http(s) page URL.',
+    invalid_id: 'Expected a highlight id.',
+    invalid_color: 'Expected a hex color such as #fff176.',
+    invalid_style: 'Expected one of: ' + HIGHLIGHT_STYLES.join(', ') + '.',
+    invalid_note: 'Expected a string of at most ' + MAX_NOTE_LENGTH + ' characters.',
+    invalid_tags: 'Expected an array of tag strings.',
+    invalid_title: 'Expected a string of at most ' + MAX_TITLE_LENGTH + ' characters.',
+    invalid_quote: 'Expected { exact, prefix?, suffix? } with non-blank exact text.',
+    nothing_to_update: 'Pass at least one of color, style, note or tags.',
+    not_found: 'No such highlight on that page.',
+    storage_full: 'Storage is full; the change is not saved.',
+    internal_error: 'The request failed.'
+  };
+
+  function get(key) {
+    return new Promise(resolve => chrome.storage.local.get(key, obj => resolve(obj[key])));
+  }
+
+  function isValidHexColor(c) {
+    return /^#([0-9A-Fa-f]{3}|[0-9A-Fa-f]{6})$/.test(c);
+  }
+
+  function apiError(code, field) {
+    const e = new Error(code);
+    if (field) e.field = field;
+    return e;
+  }
+
+  // ---------- allowlist ----------
+
+  function isAllowed(sender) {
+    const rules = chrome.runtime.getManifest().externally_connectable || {};
+    if (sender && sender.url && /^https?:/.test(sender.url)) {
+      return (rules.matches || []).some(p => HighlightRules.matchesPattern(p, sender.url));
+    }
+    const ids = rules.ids || [];
+    return !!(sender && sender.id) && (ids.indexOf('*') !== -1 || ids.indexOf(sender.id) !== -1);
+  }
+
+  // ---------- params ----------
+
+  function cleanString(value, max) {
+    if (typeof value !== 'string') return null;
+    const s = value.replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\u007F]/g, '');
+    return s.length > max ? null : s;
+  }
+
+  // one check per parameter name: the clean value, or undefined if invalid
+  const CHECKS = {
+    url: v => (typeof v === 'string' && /^https?:\/\//i.test(v) && HighlightKeys.keyForUrl(v, {}) ? v : undefined),
+    id: v => (typeof v === 'string' && /^[A-Za-z0-9_-]{1,64}$/.test(v) ? v : undefined),
+    color: v => (typeof v === 'string' && isValidHexColor(v.trim()) ? v.trim() : undefined),
+    style: v => (HIGHLIGHT_STYLES.indexOf(v) !== -1 ? v : undefined),
+    note: v => {
+      const note = cleanString(v, MAX_NOTE_LENGTH);
+      return note === null ? undefined : note.trim();
+    },
+    tags: v => (Array.isArray(v) && v.every(t => typeof t === 'string') ? HighlightTags.parseTags(v) : undefined),
+    title: v => {
+      const title = cleanString(v, MAX_TITLE_LENGTH);
+      return title === null ? undefined : title.trim();
+    },
+    quote: v => {
+      if (!v || typeof v !== 'object' || Array.isArray(v)) return undefined;
+      if (Object.keys(v).some(k => k !== 'exact' && k !== 'prefix' && k !== 'suffix')) return undefined;
+      const exact = cleanString(v.exact, MAX_TEXT_LENGTH);
+      if (!exact || !exact.trim()) return undefined;
+      const quote = { exact };
+      for (const f of ['prefix', 'suffix']) {
+        if (v[f] === undefined) continue;
+        const context = cleanString(v[f], MAX_CONTEXT_LENGTH);
+        if (context === null) return undefined;
+        quote[f] = context;
+      }
+      return quote;
+    }
+  };
+
+  // schema: parameter name -> required
+  function checkParams(params, schema) {
+    if (params === undefined) params = {};
+    if (!params || typeof params !== 'object' || Array.isArray(params)) throw apiError('invalid_request', 'params');
+    const clean = {};
+    Object.keys(params).forEach(name => {
+      if (!(name in schema)) throw apiError('unknown_param', name);
+      if (params[name] === undefined) return;
+      const value = CHECKS[name](params[name]);
+      if (value === undefined) throw apiError('invalid_' + name, name);
+      clean[name] = value;
+    });
+    Object.keys(schema).forEach(name => {
+      if (schema[name] && clean[name] === undefined) throw apiError('missing_param', name);
+    });
+    return clean;
+  }
+
+  // ---------- records ----------
+
+  async function prefs() {
+    return (await get(PREF_KEY)) || {};
+  }
+
+  // the page's storage key under the site's URL rules (without a canonical
+  // link: only the page itself knows it)
+  async function pageKey(url) {
+    return HighlightKeys.keyForUrl(url, (await prefs()).keyRules);
+  }
+
+  // what callers see of a record; storage details stay private
+  function publicRecord(rec, labelMap) {
+    return {
+      id: rec.id,
+      text: rec.text,
+      prefix: rec.prefix || '',
+      suffix: rec.suffix || '',
+      color: rec.color,
+      label: HighlightTags.labelFor(labelMap, rec.color),
+      style: HIGHLIGHT_STYLES.indexOf(rec.style) !== -1 ? rec.style : 'background',
+      note: rec.note || '',
+      tags: Array.isArray(rec.tags) ? rec.tags : [],
+      orphaned: rec.orphaned === true,
+      createdAt: rec.createdAt || null,
+      updatedAt: rec.updatedAt || rec.createdAt || null
+    };
+  }
+
+  async function findRecord(params) {
+    const key = await pageKey(params.url);
+    const records = await HighlightStore.readPage(key);
+    const rec = records.find(r => r && r.id === params.id);
+    if (!rec) throw apiError('not_found', 'id');
+    return { key, records, rec };
+  }
+
+  // ---------- methods ----------
+
+  // with url: that page's highlights; without: every page with a count
+  async function list(params) {
+    const labelMap = HighlightTags.labels(await prefs());
+    if (params.url) {
+      const key = await pageKey(params.url);
+      const records = (await HighlightStore.readPage(key)).filter(r => r && typeof r.text === 'string');
+      return { url: HighlightKeys.urlOfKey(key), highlights: records.map(r => publicRecord(r, labelMap)) };
+    }
+    const all = await new Promise(resolve => chrome.storage.local.get(null, obj => resolve(obj || {})));
+    return {
+      pages: HighlightIO.collectPages(all).map(p => ({
+        url: p.url,
+        title: p.title,
+        count: p.records.length,
+        updatedAt: Math.max(0, ...p.records.map(r => r.updatedAt || r.createdAt || 0)) || null
+      }))
+    };
+  }
+
+  async function getOne(params) {
+    const { rec } = await findRecord(params);
+    return { highlight: publicRecord(rec, HighlightTags.labels(await prefs())) };
+  }
+
+  // The record is anchored by its quote alone; an open page draws it at once
+  // and a page opened later places it on load. Text not on the page leaves
+  // it orphaned, as with any highlight.
+  async function create(params) {
+    const p = await prefs();
+    const key = await pageKey(params.url);
+    const now = Date.now();
+    const rec = HighlightIO.sanitizeRecord({
+      text: params.quote.exact,
+      prefix: params.quote.prefix,
+      suffix: params.quote.suffix,
+      color: params.color || (isValidHexColor(p.lastColor) ? p.lastColor : DEFAULT_COLOR),
+      style: params.style || 'background',
+      note: params.note,
+      tags: params.tags,
+      pageTitle: params.title,
+      createdAt: now,
+      updatedAt: now
+    });
+    if (!rec) throw apiError('invalid_quote', 'quote');
+    await HighlightStore.putRecords(key, [rec]);
+    return { url: HighlightKeys.urlOfKey(key), highlight: publicRecord(rec, HighlightTags.labels(p)) };
+  }
+
+  // an empty note or tag list removes it
+  async function update(params) {
+    if (['color', 'style', 'note', 'tags'].every(f => params[f] === undefined)) throw apiError('nothing_to_update');
+    const { key, rec } = await findRecord(params);
+    const next = Object.assign({}, rec);
+    if (params.color) next.color = params.color;
+    if (params.style) next.style = params.style;
+    if (params.note !== undefined) {
+      if (params.note) next.note = params.note;
+      else delete next.note;
+    }
+    if (params.tags !== undefined) {
+      if (params.tags.length) next.tags = params.tags;
+      else delete next.tags;
+    }
+    next.updatedAt = Date.now();
+    await HighlightStore.putRecords(key, [next]);
+    return { highlight: publicRecord(next, HighlightTags.labels(await prefs())) };
+  }
+
+  // deleted highlights go to the trash, like every other delete
+  async function remove(params) {
+    const { key, records, rec } = await findRecord(params);
+    await HighlightTrash.add(key, [rec], 'external');
+    await HighlightStore.writePage(key, records.filter(r => r !== rec), records);
+    return { deleted: rec.id };
+  }
+
+  const METHODS = {
+    list: { params: { url: false }, run: list },
+    get: { params: { url: true, id: true }, run: getOne },
+    create: { params: { url: true, quote: true, color: false, style: false, note: false, tags: false, title: false }, run: create },
+    update: { params: { url: true, id: true, color: false, style: false, note: false, tags: false }, run: update },
+    delete: { params: { url: true, id: true }, run: remove }
+  };
+
+  function failure(e) {
+    const known = !!e && Object.prototype.hasOwnProperty.call(MESSAGES, e.message);
+    if (!known) console.warn('external API request failed', e);
+    const err = known ? e.message : 'internal_error';
+    const out = { ok: false, version: API_VERSION, err, message: MESSAGES[err] };
+    if (known && e.field) out.field = e.field;
+    return out;
+  }
+
+  // checks the envelope; resolves to the method, or throws
+  function methodOf(msg, methods) {
+    if (!msg || typeof msg !== 'object' || Array.isArray(msg)) throw apiError('invalid_request');
+    if (msg.version !== API_VERSION) throw apiError('unsupported_version', 'version');
+    if (typeof msg.method !== 'string' || !Object.prototype.hasOwnProperty.call(methods, msg.method)) {
+      throw apiError('unknown_method', 'method');
+    }
+    return methods[msg.method];
+  }
+
+  // one request from chrome.runtime.onMessageExternal; never rejects
+  async function handle(msg, sender) {
+    try {
+      if (!isAllowed(sender)) throw apiError('forbidden');
+      const method = methodOf(msg, METHODS);
+      const result = await method.run(checkParams(msg.params, method.params));
+      return { ok: true, version: API_VERSION, result };
+    } catch (e) {
+      return failure(e);
+    }
+  }
+
+  // ---------- subscriptions ----------
+
+  // port -> page key watched, or null for every page
+  const subscribers = new Map();
+
+  const PORT_METHODS = {
+    subscribe: {
+      params: { url: false },
+      run: async (params, port) => {
+        const key = params.url ? await pageKey(params.url) : null;
+        subscribers.set(port, key);
+        return { subscribed: key ? HighlightKeys.urlOfKey(key) : '*' };
+      }
+    },
+    unsubscribe: {
+      params: {},
+      run: async (params, port) => {
+        subscribers.delete(port);
+        return { subscribed: null };
+      }
+    }
+  };
+
+  // a port from chrome.runtime.onConnectExternal
+  function connect(port) {
+    if (!isAllowed(port.sender)) {
+      port.postMessage(failure(apiError('forbidden')));
+      port.disconnect();
+      return;
+    }
+    port.onMessage.addListener(async msg => {
+      let reply;
+      try {
+        const method = methodOf(msg, PORT_METHODS);
+        reply = { ok: true, version: API_VERSION, result: await method.run(checkParams(msg.params, method.params), port) };
+      } catch (e) {
+        reply = failure(e);
+      }
+      try {
+        port.postMessage(reply);
+      } catch (e) {
+        subscribers.delete(port);
+      }
+    });
+    port.onDisconnect.addListener(() => subscribers.delete(port));
+  }
+
+  // { pageKey: { added, updated, removed } } record ids from a storage change
+  function changedPages(changes) {
+    const pages = {};
+    const entry = key => pages[key] || (pages[key] = { added: [], updated: [], removed: [] });
+    Object.keys(changes).forEach(key => {
+      const change = changes[key];
+      if (HighlightStore.isPageKey(key)) {
+        const before = HighlightStore.idsOf(change.oldValue);
+        const after = HighlightStore.idsOf(change.newValue);
+        const was = new Set(before);
+        const now = new Set(after);
+        after.forEach(id => { if (!was.has(id)) entry(key).added.push(id); });
+        before.forEach(id => { if (!now.has(id)) entry(key).removed.push(id); });
+        return;
+      }
+      const rec = HighlightStore.recordPage(key);
+      if (rec && change.oldValue && change.newValue) entry(rec.page).updated.push(rec.id);
+    });
+    return pages;
+  }
+
+  // sends subscribers the highlight changes in a chrome.storage change
+  function notify(changes) {
+    if (!subscribers.size) return;
+    const pages = changedPages(changes);
+    Object.keys(pages).forEach(key => {
+      const event = Object.assign({ version: API_VERSION, event: 'changed', url: HighlightKeys.urlOfKey(key) }, pages[key]);
+      subscribers.forEach((watched, port) => {
+        if (watched && watched !== key) return;
+        try {
+          port.postMessage(event);
+        } catch (e) {
+          subscribers.delete(port);
+        }
+      });
+    });
+  }
+
+  return {
+    API_VERSION,
+    handle,
+    connect,
+    notify
+  };
+})();
@@ -0,0 +1,423 @@
+// highlight-io.js - Export and import of stored highlights, shared by the
+// popup (current page) and the library (a domain or the whole store).
+//
+// Formats:
+//   - json:       lossless backup of the `highlights::` entries, re-importable
+//   - markdown:   page title, URL and quoted highlights (with notes and tags)
+//   - csv:        one row per highlight
+//   - annotation: W3C Web Annotation JSON-LD collection (TextQuoteSelector),
+//                 also re-importable
+//
+// Imports are validated field by field (colors with the same strict regex as
+// everywhere else) and merged into existing pages by record id; the newer
+// `updatedAt` wins, nothing is overwritten wholesale.
+
+const HighlightIO = (() => {
+  const HIGHLIGHT_PREFIX = 'highlights::';
+  const PREF_KEY = 'highlighter_prefs_v1';
+  const BACKUP_FORMAT = 'simple-highlighter-backup';
+  const BACKUP_VERSION = 1;
+  const ANNOTATION_CONTEXT = 'http://www.w3.org/ns/anno.jsonld';
+  const ID_URN_PREFIX = 'urn:simple-highlighter:';
+  const MAX_TEXT_LENGTH = 10000;
+  const MAX_CONTEXT_LENGTH = 200;
+  const MAX_NOTE_LENGTH = 2000;
+  const MAX_TITLE_LENGTH = 500;
+  const HIGHLIGHT_STYLES = ['background', 'underline', 'wavy', 'outline', 'text'];
+  // same limits as highlight-tags.js
+  const MAX_TAG_LENGTH = 40;
+  const MAX_TAGS = 20;
+
+  const FORMATS = {
+    json: { ext: 'json', mime: 'application/json' },
+    markdown: { ext: 'md', mime: 'text/markdown' },
+    csv: { ext: 'csv', mime: 'text/csv' },
+    annotation: { ext: 'jsonld', mime: 'application/ld+json' }
+  };
+
+  function isValidHexColor(c) {
+    return /^#([0-9A-Fa-f]{3}|[0-9A-Fa-f]{6})$/.test(c);
+  }
+
+  function genId() {
+    return 'h_' + Math.random().toString(36).slice(2, 9);
+  }
+
+  // "highlights::https://example.com::/a/b" -> { origin, pathname }
+  // (split on "::/" since IPv6 origins may contain "::" themselves)
+  function parseStorageKey(key) {
+    if (typeof key !== 'string' || !key.startsWith(HIGHLIGHT_PREFIX)) return null;
+    const rest = key.slice(HIGHLIGHT_PREFIX.length);
+    const sep = rest.indexOf('::/');
+    if (sep === -1) return null;
+    return { origin: rest.slice(0, sep), pathname: rest.slice(sep + 2) };
+  }
+
+  function pageUrl(origin, pathname) {
+    try {
+      const u = new URL(origin + pathname);
+      if (u.protocol !== 'http:' && u.protocol !== 'https:') return null;
+      return u.href;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  // storage key for an http(s) page URL under the URL rules (prefs.keyRules),
+  // or null; see highlight-keys.js
+  function keyForUrl(url, rules, canonicalHref) {
+    return HighlightKeys.keyForUrl(url, rules, canonicalHref);
+  }
+
+  // ---------- collecting ----------
+  // scope: { type: 'all' } | { type: 'domain', origin } | { type: 'page', key }
+  // all: a storage snapshot, or { key: records } (see HighlightStore.pagesIn)
+  function collectPages(all, scope) {
+    const pages = [];
+    const stored = HighlightStore.pagesIn(all);
+    Object.keys(stored).sort().forEach(key => {
+      const parsed = parseStorageKey(key);
+      if (!parsed || !stored[key].length) return;
+      if (scope && scope.type === 'domain' && parsed.origin !== scope.origin) return;
+      if (scope && scope.type === 'page' && key !== scope.key) return;
+      const records = stored[key].filter(r => r && typeof r.text === 'string');
+      const titled = records.find(r => typeof r.pageTitle === 'string' && r.pageTitle);
+      pages.push({
+        key,
+        origin: parsed.origin,
+        pathname: parsed.pathname,
+        url: pageUrl(parsed.origin, parsed.pathname) || parsed.origin + parsed.pathname,
+        title: titled ? titled.pageTitle : '',
+        records
+      });
+    });
+    return pages;
+  }
+
+  // ---------- exporters ----------
+  function toJson(pages) {
+    const entries = {};
+    pages.forEach(p => { entries[p.key] = p.records; });
+    return JSON.stringify({
+      format: BACKUP_FORMAT,
+      version: BACKUP_VERSION,
+      exportedAt: new Date().toISOString(),
+      entries
+    }, null, 2);
+  }
+
+  function isoDate(ts) {
+    return Number.isFinite(ts) ? new Date(ts).toISOString() : '';
+  }
+
+  function markdownEscape(text) {
+    return String(text).replace(/([\\`*_[\]<>])/g, '\\$1');
+  }
+
+  function toMarkdown(pages) {
+    const out = ['# Highlights', ''];
+    pages.forEach(p => {
+      out.push('## [' + markdownEscape(p.title || p.url) + '](<' + p.url + '>)', '');
+      if (p.title) out.push(p.url, '');
+      p.records.forEach(r => {
+        String(r.text).split(/\r?\n/).forEach(line => out.push('> ' + markdownEscape(line)));
+        if (r.note || r.tags) out.push('');
+        if (r.note) {
+          String(r.note).split(/\r?\n/).forEach((line, i) => out.push((i ? '  ' : '- Note: ') + markdownEscape(line)));
+        }
+        if (r.tags) out.push('- Tags: ' + r.tags.map(t => markdownEscape('#' + t)).join(' '));
+        out.push('');
+      });
+    });
+    return out.join('\n');
+  }
+
+  function csvCell(value) {
+    let s = value === undefined || value === null ? '' : String(value);
+    // keep spreadsheet apps from treating highlighted text as a formula
+    if (/^[=+\-@\t\r]/.test(s)) s = "'" + s;
+    return '"' + s.replace(/"/g, '""') + '"';
+  }
+
+  function toCsv(pages) {
+    const rows = [['url', 'title', 'text', 'note', 'tags', 'color', 'style', 'created', 'updated', 'id']];
+    pages.forEach(p => p.records.forEach(r => {
+      rows.push([p.url, p.title, r.text, r.note || '', (r.tags || []).join(', '), r.color, r.style || 'background',
+        isoDate(r.createdAt), isoDate(r.updatedAt), r.id]);
+    }));
+    return rows.map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+  }
+
+  // "highlight-<hex>" for backgrounds, "highlight-<style>-<hex>" otherwise
+  function annotationClass(r) {
+    const style = r.style && r.style !== 'background' ? r.style + '-' : '';
+    return 'highlight-' + style + r.color.slice(1).toLowerCase();
+  }
+
+  function styleRule(r) {
+    if (r.style === 'text') return 'color: ' + r.color + ';';
+    if (r.style === 'outline') return 'outline: 2px solid ' + r.color + ';';
+    if (r.style === 'underline' || r.style === 'wavy') {
+      return 'text-decoration: underline ' + (r.style === 'wavy' ? 'wavy ' : '') + r.color + ' 2px;';
+    }
+    return 'background-color: ' + r.color + ';';
+  }
+
+  function toAnnotation(page, r) {
+    const selectors = [{ type: 'TextQuoteSelector', exact: r.text, prefix: r.prefix || '', suffix: r.suffix || '' }];
+    if (Number.isInteger(r.start) && Number.isInteger(r.end)) {
+      selectors.push({ type: 'TextPositionSelector', start: r.start, end: r.end });
+    }
+    const anno = {
+      id: ID_URN_PREFIX + r.id,
+      type: 'Annotation',
+      motivation: r.note ? 'commenting' : 'highlighting',
+      created: isoDate(r.createdAt) || undefined,
+      modified: isoDate(r.updatedAt) || undefined,
+      target: { source: page.url, selector: selectors }
+    };
+    const bodies = [];
+    if (r.note) bodies.push({ type: 'TextualBody', value: r.note, format: 'text/plain', purpose: 'commenting' });
+    (r.tags || []).forEach(tag => bodies.push({ type: 'TextualBody', value: tag, purpose: 'tagging' }));
+    if (bodies.length) anno.body = bodies.length === 1 ? bodies[0] : bodies;
+    if (isValidHexColor(r.color)) {
+      anno.stylesheet = { type: 'CssStylesheet', value: '.' + annotationClass(r) + ' { ' + styleRule(r) + ' }' };
+      anno.target.styleClass = annotationClass(r);
+    }
+    return anno;
+  }
+
+  function toAnnotations(pages) {
+    const items = [];
+    pages.forEach(page => page.records.forEach(r => items.push(toAnnotation(page, r))));
+    return JSON.stringify({
+      '@context': ANNOTATION_CONTEXT,
+      type: 'AnnotationCollection',
+      label: 'Simple Highlighter export',
+      total: items.length,
+      first: { type: 'AnnotationPage', items }
+    }, null, 2);
+  }
+
+  function exportPages(pages, format) {
+    if (format === 'markdown') return toMarkdown(pages);
+    if (format === 'csv') return toCsv(pages);
+    if (format === 'annotation') return toAnnotations(pages);
+    return toJson(pages);
+  }
+
+  function download(filename, text, format) {
+    const info = FORMATS[format] || FORMATS.json;
+    const blob = new Blob([text], { type: info.mime + ';charset=utf-8' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename + '.' + info.ext;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  // ---------- import validation ----------
+  function cleanString(value, max) {
+    if (typeof value !== 'string') return null;
+    // drop control characters other than tab/newline
+    const s = value.replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\u007F]/g, '');
+    return s.length > max ? null : s;
+  }
+
+  // trimmed, without a leading '#', deduplicated ignoring case
+  function cleanTags(value) {
+    if (!Array.isArray(value)) return [];
+    const seen = new Set();
+    const out = [];
+    value.forEach(raw => {
+      const tag = (cleanString(raw, 1000) || '').replace(/,/g, ' ').replace(/^\s*#+/, '').replace(/\s+/g, ' ').trim()
+        .slice(0, MAX_TAG_LENGTH);
+      if (!tag || seen.has(tag.toLowerCase()) || out.length >= MAX_TAGS) return;
+      seen.add(tag.toLowerCase());
+      out.push(tag);
+    });
+    return out;
+  }
+
+  function cleanTimestamp(value) {
+    if (typeof value === 'string') value = Date.parse(value);
+    return Number.isFinite(value) && value > 0 ? Math.floor(value) : null;
+  }
+
+  // returns a record with only known, valid fields, or null if unusable
+  function sanitizeRecord(raw) {
+    if (!raw || typeof raw !== 'object') return null;
+    const text = cleanString(raw.text, MAX_TEXT_LENGTH);
+    if (!text || !text.trim()) return null;
+    const color = typeof raw.color === 'string' ? raw.color.trim() : '';
+    if (!isValidHexColor(color)) return null;
+
+    const rec = {
+      id: typeof raw.id === 'string' && /^[A-Za-z0-9_-]{1,64}$/.test(raw.id) ? raw.id : genId(),
+      text,
+      color
+    };
+    ['prefix', 'suffix'].forEach(f => {
+      const v = cleanString(raw[f], MAX_CONTEXT_LENGTH);
+      if (v !== null) rec[f] = v;
+    });
+    if (Number.isInteger(raw.start) && Number.isInteger(raw.end) && raw.start >= 0 && raw.end > raw.start) {
+      rec.start = raw.start;
+      rec.end = raw.end;
+    }
+    if (typeof raw.path === 'string' && /^([a-z0-9-]+\[\d+\](\/[a-z0-9-]+\[\d+\])*)?$/.test(raw.path)) {
+      rec.path = raw.path;
+      rec.pathOffset = Number.isInteger(raw.pathOffset) && raw.pathOffset >= 0 ? raw.pathOffset : 0;
+    }
+    if (HIGHLIGHT_STYLES.indexOf(raw.style) !== -1) rec.style = raw.style;
+    const note = cleanString(raw.note, MAX_NOTE_LENGTH);
+    if (note && note.trim()) rec.note = note.trim();
+    const tags = cleanTags(raw.tags);
+    if (tags.length) rec.tags = tags;
+    if (raw.orphaned === true) rec.orphaned = true;
+    const title = cleanString(raw.pageTitle, MAX_TITLE_LENGTH);
+    if (title) rec.pageTitle = title;
+    const now = Date.now();
+    rec.createdAt = cleanTimestamp(raw.createdAt) || now;
+    rec.updatedAt = cleanTimestamp(raw.updatedAt) || rec.createdAt;
+    return rec;
+  }
+
+  // ---------- import parsing ----------
+  // Pages are filed under the key their URL has under the current rules, so a
+  // backup made before a rule changed lands where the pages now look.
+  function fromBackup(data, rules) {
+    const entries = {};
+    Object.keys(data.entries || {}).forEach(key => {
+      const parsed = parseStorageKey(key);
+      const url = parsed && pageUrl(parsed.origin, parsed.pathname);
+      if (!url) return;
+      const records = Array.isArray(data.entries[key]) ? data.entries[key] : [];
+      const target = keyForUrl(url, rules) || key;
+      entries[target] = (entries[target] || []).concat(records);
+    });
+    return entries;
+  }
+
+  function annotationItems(data) {
+    if (Array.isArray(data)) return data;
+    if (data.type === 'Annotation') return [data];
+    if (data.first && Array.isArray(data.first.items)) return data.first.items;
+    if (Array.isArray(data.items)) return data.items;
+    return [];
+  }
+
+  function fromAnnotations(data, rules) {
+    const entries = {};
+    annotationItems(data).forEach(anno => {
+      if (!anno || !anno.target) return;
+      const target = Array.isArray(anno.target) ? anno.target[0] : anno.target;
+      const key = target && keyForUrl(target.source, rules);
+      if (!key) return;
+      const selectors = Array.isArray(target.selector) ? target.selector : [target.selector];
+      const quote = selectors.find(s => s && s.type === 'TextQuoteSelector');
+      if (!quote) return;
+      const position = selectors.find(s => s && s.type === 'TextPositionSelector');
+
+      const styleClass = typeof target.styleClass === 'string' ? target.styleClass : '';
+      const m = /^highlight-(?:(underline|wavy|outline|text)-)?([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(styleClass);
+      const bodies = Array.isArray(anno.body) ? anno.body : anno.body ? [anno.body] : [];
+      const comment = bodies.find(b => b && b.type === 'TextualBody' && b.purpose !== 'tagging');
+      const tags = bodies.filter(b => b && b.type === 'TextualBody' && b.purpose === 'tagging').map(b => b.value);
+      const id = typeof anno.id === 'string' && anno.id.startsWith(ID_URN_PREFIX) ? anno.id.slice(ID_URN_PREFIX.length) : undefined;
+
+      (entries[key] = entries[key] || []).push({
+        id,
+        text: quote.exact,
+        prefix: quote.prefix,
+        suffix: quote.suffix,
+        start: position ? position.start : undefined,
+        end: position ? position.end : undefined,
+        color: m ? '#' + m[2] : '#fff176',
+        style: m && m[1] ? m[1].toLowerCase() : undefined,
+        note: comment ? comment.value : undefined,
+        tags,
+        createdAt: anno.created,
+        updatedAt: anno.modified
+      });
+    });
+    return entries;
+  }
+
+  // parse an exported file into { key: rawRecords[] }, keyed under the URL
+  // rules; throws on unknown input
+  function parseImport(text, rules) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (e) {
+      throw new Error('not_json');
+    }
+    if (data && data.format === BACKUP_FORMAT) return fromBackup(data, rules);
+    if (data && (Array.isArray(data) || data.type === 'AnnotationCollection' || data.type === 'Annotation')) {
+      return fromAnnotations(data, rules);
+    }
+    throw new Error('unknown_format');
+  }
+
+  // merge incoming records into existing ones by id; the newer updatedAt wins
+  function mergeRecords(existing, incoming, stats) {
+    const merged = Array.isArray(existing) ? existing.slice() : [];
+    const byId = new Map(merged.map((r, i) => [r.id, i]));
+    incoming.forEach(raw => {
+      const rec = sanitizeRecord(raw);
+      if (!rec) {
+        stats.skipped++;
+        return;
+      }
+      if (!byId.has(rec.id)) {
+        byId.set(rec.id, merged.length);
+        merged.push(rec);
+        stats.added++;
+      } else {
+        const i = byId.get(rec.id);
+        if ((rec.updatedAt || 0) > (merged[i].updatedAt || 0)) {
+          merged[i] = rec;
+          stats.updated++;
+        } else {
+          stats.unchanged++;
+        }
+      }
+    });
+    return merged;
+  }
+
+  // importText: file contents; storage: { getAll() } promise helper. Pages
+  // are written through HighlightStore, so only new and updated records are
+  // stored.
+  async function importInto(importText, storage) {
+    const all = await storage.getAll();
+    const prefs = all[PREF_KEY] || {};
+    const stored = HighlightStore.pagesIn(all);
+    const entries = parseImport(importText, prefs.keyRules);
+    const stats = { pages: 0, added: 0, updated: 0, unchanged: 0, skipped: 0 };
+    for (const key of Object.keys(entries)) {
+      const merged = mergeRecords(stored[key], entries[key], stats);
+      if (!merged.length) continue;
+      await HighlightStore.writePage(key, merged, stored[key] || []);
+      stats.pages++;
+    }
+    return stats;
+  }
+
+  return {
+    FORMATS,
+    parseStorageKey,
+    pageUrl,
+    keyForUrl,
+    collectPages,
+    exportPages,
+    download,
+    sanitizeRecord,
+    parseImport,
+    importInto
+  };
+})();
@@ -0,0 +1,213 @@
+// highlight-keys.js - Turns a page URL into the storage key its highlights
+// live under, `highlights::<origin>::<path>`. Shared by the content script,
+// the service worker, the popup, the library and highlight-io.js, so every
+// path files a page under the same key.
+//
+// By default <path> is the URL's pathname: the query string and fragment are
+// dropped, so `?id=1` and `?id=2` share one entry. Per-site rules, kept in
+// the prefs as keyRules: { [origin]: { params, canonical } }, change that:
+//   - params: query parameter names that tell pages apart (kept sorted by
+//     name in the key), or '*' for all of them;
+//   - canonical: file the page under its <link rel="canonical"> URL, so AMP
+//     and mobile variants of an article share the article's entry. The link
+//     is only followed to the same site (www., m., mobile. and amp. host
+//     variants), so a page cannot pull in another site's highlights.
+// Changing a rule re-keys the site's stored entries (see migrate(), run by
+// the service worker).
+
+const HighlightKeys = (() => {
+  const HIGHLIGHT_PREFIX = 'highlights::';
+  const HISTORY_PREFIX = 'history::';
+  const MAX_PARAMS = 20;
+  const ALL_PARAMS = '*';
+
+  function get(keys) {
+    return new Promise(resolve => chrome.storage.local.get(keys, obj => resolve(obj || {})));
+  }
+  function set(obj) {
+    return new Promise((resolve, reject) => chrome.storage.local.set(obj, () => {
+      const err = chrome.runtime.lastError;
+      if (!err) return resolve();
+      reject(new Error(/quota/i.test(err.message || '') ? HighlightStore.FULL : err.message || 'storage_error'));
+    }));
+  }
+  function remove(keys) {
+    return new Promise((resolve, reject) => chrome.storage.local.remove(keys, () => {
+      const err = chrome.runtime.lastError;
+      if (!err) return resolve();
+      reject(new Error(err.message || 'storage_error'));
+    }));
+  }
+
+  function webUrl(url) {
+    try {
+      const u = new URL(url);
+      return u.protocol === 'http:' || u.protocol === 'https:' ? u : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  // "id, page" or ['id', 'page'] -> ['id', 'page']; '*' keeps every parameter
+  function parseParams(value) {
+    if (value === ALL_PARAMS || (typeof value === 'string' && value.trim() === ALL_PARAMS)) return ALL_PARAMS;
+    const parts = Array.isArray(value) ? value : typeof value === 'string' ? value.split(',') : [];
+    const out = [];
+    parts.forEach(p => {
+      const name = typeof p === 'string' ? p.trim().slice(0, 100) : '';
+      if (name && out.indexOf(name) === -1 && out.length < MAX_PARAMS) out.push(name);
+    });
+    return out.sort();
+  }
+
+  function cleanRule(raw) {
+    return {
+      params: parseParams(raw && raw.params),
+      canonical: !!(raw && raw.canonical === true)
+    };
+  }
+
+  function isDefaultRule(rule) {
+    return !rule.canonical && Array.isArray(rule.params) && !rule.params.length;
+  }
+
+  function ruleFor(rules, origin) {
+    const raw = rules && typeof rules === 'object' ? rules[origin] : null;
+    return cleanRule(raw);
+  }
+
+  // rules with origin's rule replaced; default rules are left out
+  function withRule(rules, origin, rule) {
+    const next = Object.assign({}, rules && typeof rules === 'object' ? rules : {});
+    const clean = cleanRule(rule);
+    if (isDefaultRule(clean)) delete next[origin];
+    else next[origin] = clean;
+    return next;
+  }
+
+  // "www.example.com", "m.example.com" and "example.com" are one site
+  function siteOf(hostname) {
+    return hostname.toLowerCase().replace(/^(www|m|mobile|amp)\./, '');
+  }
+
+  function keptQuery(u, params) {
+    const pairs = [];
+    u.searchParams.forEach((value, name) => {
+      if (params === ALL_PARAMS || params.indexOf(name) !== -1) pairs.push([name, value]);
+    });
+    if (!pairs.length) return '';
+    pairs.sort((a, b) => (a[0] < b[0] ? -1 : a[0] > b[0] ? 1 : 0));
+    return '?' + new URLSearchParams(pairs).toString();
+  }
+
+  // storage key for an http(s) page URL, or null. canonicalHref is the page's
+  // <link rel="canonical"> URL, when known.
+  function keyForUrl(url, rules, canonicalHref) {
+    let u = webUrl(url);
+    if (!u) return null;
+    if (ruleFor(rules, u.origin).canonical && canonicalHref) {
+      const c = webUrl(canonicalHref);
+      if (c && siteOf(c.hostname) === siteOf(u.hostname)) u = c;
+    }
+    return HIGHLIGHT_PREFIX + u.origin + '::' + u.pathname + keptQuery(u, ruleFor(rules, u.origin).params);
+  }
+
+  // "highlights::https://example.com::/a?id=1" -> "https://example.com/a?id=1"
+  // (split on "::/" since IPv6 origins may contain "::" themselves)
+  function urlOfKey(key) {
+    if (typeof key !== 'string' || !key.startsWith(HIGHLIGHT_PREFIX)) return null;
+    const rest = key.slice(HIGHLIGHT_PREFIX.length);
+    const sep = rest.indexOf('::/');
+    return sep === -1 ? null : rest.slice(0, sep) + rest.slice(sep + 2);
+  }
+
+  function historyKeyFor(key) {
+    return HISTORY_PREFIX + key.slice(HIGHLIGHT_PREFIX.length);
+  }
+
+  // the newer copy of a record wins
+  function mergeInto(target, records) {
+    const byId = new Map(target.map((r, i) => [r.id, i]));
+    records.forEach(rec => {
+      if (!rec || !rec.id) return;
+      if (!byId.has(rec.id)) {
+        byId.set(rec.id, target.length);
+        target.push(rec);
+      } else if ((rec.updatedAt || 0) > (target[byId.get(rec.id)].updatedAt || 0)) {
+        target[byId.get(rec.id)] = rec;
+      }
+    });
+    return target;
+  }
+
+  // Re-keys origin's stored entries under rules. The entries are written under
+  // their new keys first, then saveRules() is awaited to store the rules, and
+  // only then are the old entries removed. When a write fails before the
+  // rules are stored, the new keys are put back as they were and the old rule
+  // keeps every entry it files under. Entries that now share a key are
+  // merged. An undo history moves along when its entry is the only one
+  // landing on a key and is dropped otherwise, and trash items follow their
+  // page. Entries a rule now splits (a newly kept parameter) are left alone:
+  // the content script moves their records over as each page is opened.
+  // Resolves to the number of entries re-keyed.
+  async function migrate(rules, origin, saveRules) {
+    const all = await get(null);
+    const pages = HighlightStore.pagesIn(all);
+    const targets = new Map(); // new key -> old keys
+    Object.keys(pages).forEach(key => {
+      const url = urlOfKey(key);
+      if (!url || webUrl(url) === null || webUrl(url).origin !== origin) return;
+      const next = keyForUrl(url, rules);
+      if (!next || next === key) return;
+      if (!targets.has(next)) targets.set(next, []);
+      targets.get(next).push(key);
+    });
+    if (!targets.size) {
+      await saveRules();
+      return 0;
+    }
+
+    const histories = {};
+    const removals = [];
+    const renamed = new Map(); // old key -> new key
+    const written = []; // [new key, its records before, after]
+    let moved = 0;
+    try {
+      for (const [next, oldKeys] of targets) {
+        const before = pages[next] || [];
+        const merged = before.slice();
+        oldKeys.forEach(key => {
+          mergeInto(merged, pages[key]);
+          removals.push(historyKeyFor(key));
+          renamed.set(key, next);
+          moved++;
+        });
+        written.push([next, before, merged]);
+        await HighlightStore.writePage(next, merged, before);
+        const history = all[historyKeyFor(oldKeys[0])];
+        if (oldKeys.length === 1 && history && !all[next] && !all[historyKeyFor(next)]) histories[historyKeyFor(next)] = history;
+      }
+      await set(histories);
+      await saveRules();
+    } catch (e) {
+      // the old rule stays: put the new keys back the way they were
+      for (const [next, before, merged] of written) await HighlightStore.writePage(next, before, merged).catch(() => {});
+      await remove(Object.keys(histories)).catch(() => {});
+      throw e;
+    }
+    for (const key of renamed.keys()) await HighlightStore.removePage(key);
+    await remove(removals.filter(key => !(key in histories)));
+    if (typeof HighlightTrash !== 'undefined') await HighlightTrash.rekey(renamed);
+    return moved;
+  }
+
+  return {
+    ALL_PARAMS,
+    parseParams,
+    ruleFor,
+    withRule,
+    keyForUrl,
+    urlOfKey,
+    migrate
+  };
+})();
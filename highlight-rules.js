@@ -0,0 +1,194 @@
+// highlight-rules.js - Auto-highlight rules: a keyword list or a regular
+// expression, painted in a color on pages matching a URL pattern. Shared by
+// the content script (which paints the matches), the rules page (which edits
+// them), the popup (the per-page switch) and the external API (match
+// patterns for its allowlist).
+//
+// Rules live in prefs.autoRules:
+//   { id, name, enabled, match, type: 'keywords' | 'regex', keywords,
+//     pattern, caseSensitive, color }
+// `match` is a Chrome match pattern such as "https://*.example.com/*".
+// Pages the user switched auto-highlighting off for are listed by storage
+// key in prefs.autoOff. Matches are never stored as highlight records.
+
+const HighlightRules = (() => {
+  const ALL_URLS = '<all_urls>';
+  const DEFAULT_MATCH = '*://*/*';
+  const MAX_RULES = 50;
+  const MAX_NAME_LENGTH = 60;
+  const MAX_KEYWORDS = 200;
+  const MAX_KEYWORD_LENGTH = 100;
+  const MAX_PATTERN_LENGTH = 500;
+  const MAX_MATCH_LENGTH = 300;
+  const MAX_OFF_PAGES = 500;
+
+  function isValidHexColor(c) {
+    return /^#([0-9A-Fa-f]{3}|[0-9A-Fa-f]{6})$/.test(c);
+  }
+
+  function genId() {
+    return 'r_' + Math.random().toString(36).slice(2, 9);
+  }
+
+  // ---------- match patterns ----------
+
+  const PATTERN_RE = /^(\*|https?):\/\/(\*|(?:\*\.)?[^/*]+)(\/.*)$/;
+
+  function isValidPattern(pattern) {
+    return pattern === ALL_URLS || (typeof pattern === 'string' && pattern.length <= MAX_MATCH_LENGTH && PATTERN_RE.test(pattern));
+  }
+
+  // Chrome match patterns for http(s) pages: "*://*/*", "https://*.example.com/docs/*";
+  // a host without a port matches every port
+  function matchesPattern(pattern, url) {
+    let u;
+    try {
+      u = new URL(url);
+    } catch (e) {
+      return false;
+    }
+    if (!/^https?:$/.test(u.protocol)) return false;
+    if (pattern === ALL_URLS) return true;
+    const m = PATTERN_RE.exec(String(pattern));
+    if (!m) return false;
+    if (m[1] !== '*' && u.protocol !== m[1] + ':') return false;
+    const host = m[2];
+    const actual = host.indexOf(':') === -1 ? u.hostname : u.host;
+    if (host.startsWith('*.') ? actual !== host.slice(2) && !actual.endsWith(host.slice(1)) : host !== '*' && actual !== host) {
+      return false;
+    }
+    const path = new RegExp('^' + m[3].split('*').map(s => s.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*') + '$');
+    return path.test(u.pathname + u.search);
+  }
+
+  // ---------- rules ----------
+
+  // "ACME-1, Widget\nurgent" -> ['ACME-1', 'Widget', 'urgent']
+  function parseKeywords(value) {
+    const parts = Array.isArray(value) ? value : typeof value === 'string' ? value.split(/[\n,]/) : [];
+    const seen = new Set();
+    const out = [];
+    parts.forEach(part => {
+      const word = typeof part === 'string' ? part.trim() : '';
+      if (!word || word.length > MAX_KEYWORD_LENGTH || seen.has(word) || out.length >= MAX_KEYWORDS) return;
+      seen.add(word);
+      out.push(word);
+    });
+    return out;
+  }
+
+  // true for patterns that repeat a group which itself repeats, like (a+)+
+  // or (\w*\s?)*: on text that almost matches they backtrack exponentially
+  // and would hang the page
+  function hasNestedQuantifier(pattern) {
+    const REPEAT = /^(?:[*+]|\{\d+,\d*\})/;
+    const groups = [{ repeats: false }];
+    let i = 0;
+    while (i < pattern.length) {
+      const c = pattern[i];
+      if (c === '\\') {
+        i += 2;
+        continue;
+      }
+      if (c === '[') {
+        i++;
+        while (i < pattern.length && pattern[i] !== ']') i += pattern[i] === '\\' ? 2 : 1;
+        i++;
+        continue;
+      }
+      if (c === '(') {
+        groups.push({ repeats: false });
+        const head = /^\?(?:[:=!]|<[=!]|<[A-Za-z_$][\w$]*>)/.exec(pattern.slice(i + 1));
+        i += 1 + (head ? head[0].length : 0);
+        continue;
+      }
+      const top = groups[groups.length - 1];
+      if (c === ')' && groups.length > 1) {
+        groups.pop();
+        const repeated = REPEAT.test(pattern.slice(i + 1));
+        if (repeated && top.repeats) return true;
+        if (repeated || top.repeats) groups[groups.length - 1].repeats = true;
+      } else if (REPEAT.test(pattern.slice(i))) {
+        top.repeats = true;
+      }
+      i++;
+    }
+    return false;
+  }
+
+  // the regular expression a rule matches with (global), or null if it has
+  // nothing to match or its pattern does not compile
+  function regexFor(rule) {
+    const flags = 'g' + (rule.caseSensitive ? '' : 'i');
+    try {
+      if (rule.type === 'regex') return rule.pattern ? new RegExp(rule.pattern, flags) : null;
+      if (!rule.keywords.length) return null;
+      // longest first, so "ACME Pro" wins over "ACME"; whole words only
+      const words = rule.keywords.slice().sort((a, b) => b.length - a.length)
+        .map(w => w.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+      return new RegExp('(?<![\\p{L}\\p{N}_])(?:' + words.join('|') + ')(?![\\p{L}\\p{N}_])', flags + 'u');
+    } catch (e) {
+      return null;
+    }
+  }
+
+  // a rule with only known, valid fields, or null if unusable
+  function sanitizeRule(raw) {
+    if (!raw || typeof raw !== 'object') return null;
+    const color = typeof raw.color === 'string' ? raw.color.trim() : '';
+    if (!isValidHexColor(color)) return null;
+    const rule = {
+      id: typeof raw.id === 'string' && /^[A-Za-z0-9_-]{1,64}$/.test(raw.id) ? raw.id : genId(),
+      name: typeof raw.name === 'string' ? raw.name.trim().slice(0, MAX_NAME_LENGTH) : '',
+      enabled: raw.enabled !== false,
+      match: isValidPattern(raw.match) ? raw.match : DEFAULT_MATCH,
+      type: raw.type === 'regex' ? 'regex' : 'keywords',
+      keywords: parseKeywords(raw.keywords),
+      pattern: typeof raw.pattern === 'string' && raw.pattern.length <= MAX_PATTERN_LENGTH ? raw.pattern : '',
+      caseSensitive: raw.caseSensitive === true,
+      color
+    };
+    if (rule.type === 'regex' && hasNestedQuantifier(rule.pattern)) return null;
+    return regexFor(rule) ? rule : null;
+  }
+
+  function rules(prefs) {
+    const raw = prefs && Array.isArray(prefs.autoRules) ? prefs.autoRules : [];
+    return raw.map(sanitizeRule).filter(Boolean).slice(0, MAX_RULES);
+  }
+
+  // the enabled rules for a page URL
+  function rulesFor(prefs, url) {
+    return rules(prefs).filter(rule => rule.enabled && matchesPattern(rule.match, url));
+  }
+
+  function isOff(prefs, pageKey) {
+    return !!(prefs && Array.isArray(prefs.autoOff) && prefs.autoOff.indexOf(pageKey) !== -1);
+  }
+
+  // switches auto-highlighting off (or back on) for a page; returns prefs
+  function setOff(prefs, pageKey, off) {
+    const list = (prefs && Array.isArray(prefs.autoOff) ? prefs.autoOff : []).filter(k => typeof k === 'string' && k !== pageKey);
+    if (off) list.push(pageKey);
+    return Object.assign({}, prefs, { autoOff: list.slice(-MAX_OFF_PAGES) });
+  }
+
+  return {
+    ALL_URLS,
+    DEFAULT_MATCH,
+    MAX_RULES,
+    MAX_NAME_LENGTH,
+    MAX_KEYWORDS,
+    MAX_PATTERN_LENGTH,
+    isValidPattern,
+    matchesPattern,
+    parseKeywords,
+    hasNestedQuantifier,
+    regexFor,
+    sanitizeRule,
+    rules,
+    rulesFor,
+    isOff,
+    setOff
+  };
+})();
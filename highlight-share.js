@@ -0,0 +1,149 @@
+// highlight-share.js - Share links: a page URL whose fragment carries that
+// page's highlights, so whoever opens it sees them. Used by the content
+// script, which builds the link for the popup and reads the fragment of the
+// page it runs in.
+//
+// A link looks like
+//   https://example.com/post#highlights=1.<data>:~:text=first%20quote
+// <data> is base64url-encoded JSON, one entry per highlight:
+//   [text, prefix, suffix, color]  (plus the style when it is not 'background')
+// The `:~:text=` part is a Text Fragment for the first highlight. Browsers
+// without the extension still scroll to it and mark it, and they hide it
+// from the page's own scripts.
+
+const HighlightShare = (() => {
+  const MARKER = 'highlights=1.';
+  const FRAGMENT_DIRECTIVE = ':~:';
+  // links much longer than this get cut off by mail and chat apps
+  const MAX_LINK_LENGTH = 8000;
+  const MAX_SHARED = 200;
+  const MAX_TEXT_LENGTH = 2000;
+  const MAX_CONTEXT_LENGTH = 100;
+  const HIGHLIGHT_STYLES = ['background', 'underline', 'wavy', 'outline', 'text'];
+  const DEFAULT_STYLE = 'background';
+  // quotes longer than this are matched by their first and last words
+  const FRAGMENT_EXACT_CHARS = 80;
+  const FRAGMENT_EDGE_WORDS = 4;
+  const FRAGMENT_CONTEXT_WORDS = 3;
+
+  function isValidHexColor(c) {
+    return /^#([0-9A-Fa-f]{3}|[0-9A-Fa-f]{6})$/.test(c);
+  }
+
+  // ---------- encoding ----------
+
+  function encode(value) {
+    const bytes = new TextEncoder().encode(JSON.stringify(value));
+    let binary = '';
+    bytes.forEach(b => { binary += String.fromCharCode(b); });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  }
+
+  function decode(data) {
+    const binary = atob(data.replace(/-/g, '+').replace(/_/g, '/'));
+    return JSON.parse(new TextDecoder().decode(Uint8Array.from(binary, c => c.charCodeAt(0))));
+  }
+
+  // ---------- text fragments ----------
+
+  function collapse(s) {
+    return String(s || '').replace(/\s+/g, ' ').trim();
+  }
+
+  // Text Fragment terms are percent-encoded, and '-', ',' and '&' are syntax
+  function term(s) {
+    return encodeURIComponent(s).replace(/-/g, '%2D');
+  }
+
+  // "text=[prefix-,]start[,end][,-suffix]" for a highlight, or '' if it has
+  // no text. Context is only used when whitespace separates it from the
+  // quote, since fragments match whole words; its outermost word is dropped
+  // as it may be cut off.
+  function textDirective(item) {
+    const quote = collapse(item.text);
+    if (!quote) return '';
+    const words = quote.split(' ');
+    const parts = quote.length <= FRAGMENT_EXACT_CHARS || words.length <= FRAGMENT_EDGE_WORDS * 2
+      ? [term(quote)]
+      : [term(words.slice(0, FRAGMENT_EDGE_WORDS).join(' ')), term(words.slice(-FRAGMENT_EDGE_WORDS).join(' '))];
+    if (/\s$/.test(item.prefix || '')) {
+      const before = collapse(item.prefix).split(' ').slice(1).slice(-FRAGMENT_CONTEXT_WORDS).join(' ');
+      if (before) parts.unshift(term(before) + '-');
+    }
+    if (/^\s/.test(item.suffix || '')) {
+      const after = collapse(item.suffix).split(' ').slice(0, -1).slice(0, FRAGMENT_CONTEXT_WORDS).join(' ');
+      if (after) parts.push('-' + term(after));
+    }
+    return 'text=' + parts.join(',');
+  }
+
+  // ---------- links ----------
+
+  function entryOf(item) {
+    const entry = [item.text, item.prefix || '', item.suffix || '', item.color];
+    if (item.style && item.style !== DEFAULT_STYLE) entry.push(item.style);
+    return entry;
+  }
+
+  // Builds the share link for url from highlights in document order
+  // ({ text, prefix, suffix, color, style }). As many as fit in
+  // MAX_LINK_LENGTH are included, from the first; returns { url, count }.
+  function buildLink(url, items) {
+    const base = String(url).split('#')[0];
+    const entries = [];
+    let link = base;
+    let directive = '';
+    for (const item of items.slice(0, MAX_SHARED)) {
+      if (!entries.length) directive = textDirective(item);
+      const candidate = base + '#' + MARKER + encode(entries.concat([entryOf(item)]))
+        + (directive ? FRAGMENT_DIRECTIVE + directive : '');
+      if (candidate.length > MAX_LINK_LENGTH) break;
+      entries.push(entryOf(item));
+      link = candidate;
+    }
+    return { url: link, count: entries.length };
+  }
+
+  function sanitizeEntry(entry) {
+    if (!Array.isArray(entry)) return null;
+    const [text, prefix, suffix, color, style] = entry;
+    if (typeof text !== 'string' || !text.trim() || text.length > MAX_TEXT_LENGTH) return null;
+    if (typeof color !== 'string' || !isValidHexColor(color)) return null;
+    const context = s => (typeof s === 'string' ? s : '');
+    return {
+      text,
+      prefix: context(prefix).slice(-MAX_CONTEXT_LENGTH),
+      suffix: context(suffix).slice(0, MAX_CONTEXT_LENGTH),
+      color,
+      style: HIGHLIGHT_STYLES.indexOf(style) !== -1 ? style : DEFAULT_STYLE
+    };
+  }
+
+  function isShareHash(hash) {
+    return typeof hash === 'string' && hash.startsWith('#' + MARKER);
+  }
+
+  // the shared highlights in a location.hash, or null when it is not a share
+  // link (or cannot be read)
+  function parseHash(hash) {
+    if (!isShareHash(hash)) return null;
+    const data = hash.slice(1 + MARKER.length).split(FRAGMENT_DIRECTIVE)[0];
+    let entries;
+    try {
+      entries = decode(data);
+    } catch (e) {
+      return null;
+    }
+    if (!Array.isArray(entries)) return null;
+    const items = entries.slice(0, MAX_SHARED).map(sanitizeEntry).filter(Boolean);
+    return items.length ? items : null;
+  }
+
+  return {
+    MAX_LINK_LENGTH,
+    textDirective,
+    buildLink,
+    isShareHash,
+    parseHash
+  };
+})();
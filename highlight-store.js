@@ -0,0 +1,187 @@
+// highlight-store.js - Reads and writes a page's highlight records. Shared by
+// the content script, the service worker, the popup, the library, the trash,
+// highlight-io.js and highlight-keys.js.
+//
+// Each record is its own storage entry, `record::<origin>::<path>#<id>`, and
+// the page's `highlights::<origin>::<path>` entry holds the order of its
+// records: { ids: [...] }. An edit writes only the records it changed, so a
+// page is not limited to what fits in one entry. Pages saved by older
+// versions hold the records themselves (an array); they are read as they are
+// and converted on their next write.
+//
+// Writes reject with an Error whose message is 'storage_full' when the
+// storage quota is reached, so callers can tell the user instead of losing
+// the change quietly. usage() reports how close storage is to that point.
+
+const HighlightStore = (() => {
+  const HIGHLIGHT_PREFIX = 'highlights::';
+  const RECORD_PREFIX = 'record::';
+  const FULL = 'storage_full';
+  // share of the quota past which the user is warned
+  const WARN_RATIO = 0.9;
+  const DEFAULT_QUOTA_BYTES = 10485760;
+
+  function get(keys) {
+    return new Promise(resolve => chrome.storage.local.get(keys, obj => resolve(obj || {})));
+  }
+  function set(obj) {
+    return new Promise((resolve, reject) => chrome.storage.local.set(obj, () => {
+      const err = chrome.runtime.lastError;
+      if (!err) return resolve();
+      reject(new Error(/quota/i.test(err.message || '') ? FULL : err.message || 'storage_error'));
+    }));
+  }
+  function remove(keys) {
+    if (!keys.length) return Promise.resolve();
+    return new Promise(resolve => chrome.storage.local.remove(keys, () => resolve()));
+  }
+
+  function isPageKey(key) {
+    return typeof key === 'string' && key.startsWith(HIGHLIGHT_PREFIX);
+  }
+
+  // true for page entries and record entries
+  function isHighlightKey(key) {
+    return isPageKey(key) || (typeof key === 'string' && key.startsWith(RECORD_PREFIX));
+  }
+
+  // '#' never appears in a page key: keys are built from the URL without its
+  // fragment
+  function recordPrefix(pageKey) {
+    return RECORD_PREFIX + pageKey.slice(HIGHLIGHT_PREFIX.length) + '#';
+  }
+
+  function recordKey(pageKey, id) {
+    return recordPrefix(pageKey) + id;
+  }
+
+  // { page, id } for a record entry's key, null for any other key
+  function recordPage(key) {
+    if (typeof key !== 'string' || !key.startsWith(RECORD_PREFIX)) return null;
+    const at = key.lastIndexOf('#');
+    if (at === -1) return null;
+    return { page: HIGHLIGHT_PREFIX + key.slice(RECORD_PREFIX.length, at), id: key.slice(at + 1) };
+  }
+
+  // the record ids a page entry lists, in order (either layout)
+  function idsOf(entry) {
+    if (Array.isArray(entry)) return entry.filter(r => r && r.id).map(r => r.id);
+    return entry && Array.isArray(entry.ids) ? entry.ids.filter(id => typeof id === 'string') : [];
+  }
+
+  // the page's records, in order, from a snapshot of storage
+  function recordsIn(all, pageKey) {
+    const entry = all[pageKey];
+    if (Array.isArray(entry)) return entry;
+    return idsOf(entry).map(id => all[recordKey(pageKey, id)]).filter(r => r && typeof r === 'object');
+  }
+
+  // { pageKey: records } for every page in a storage snapshot (get(null))
+  function pagesIn(all) {
+    const pages = {};
+    Object.keys(all || {}).forEach(key => {
+      if (isPageKey(key)) pages[key] = recordsIn(all, key);
+    });
+    return pages;
+  }
+
+  async function readPage(pageKey) {
+    const stored = await get(pageKey);
+    const entry = stored[pageKey];
+    if (Array.isArray(entry)) return entry;
+    const ids = idsOf(entry);
+    if (!ids.length) return [];
+    const records = await get(ids.map(id => recordKey(pageKey, id)));
+    return recordsIn(Object.assign(records, { [pageKey]: entry }), pageKey);
+  }
+
+  // Stores records as the page's highlights, in this order. previous is the
+  // page as the caller last read it (read again when omitted): records equal
+  // to their previous copy are not written again, and records no longer there
+  // are removed. An empty list removes the page.
+  async function writePage(pageKey, records, previous) {
+    const stored = await get(pageKey);
+    const entry = stored[pageKey];
+    const legacy = Array.isArray(entry);
+    const before = legacy ? entry : previous || await readPage(pageKey);
+    const list = (Array.isArray(records) ? records : []).filter(r => r && r.id);
+    const ids = list.map(r => r.id);
+    const kept = new Set(ids);
+    const dropped = idsOf(entry).filter(id => !kept.has(id)).map(id => recordKey(pageKey, id));
+    if (!list.length) return remove([pageKey].concat(legacy ? [] : dropped));
+
+    const was = new Map(before.map(r => [r.id, JSON.stringify(r)]));
+    const writes = {};
+    list.forEach(r => {
+      if (legacy || was.get(r.id) !== JSON.stringify(r)) writes[recordKey(pageKey, r.id)] = r;
+    });
+    if (legacy || JSON.stringify(idsOf(entry)) !== JSON.stringify(ids)) writes[pageKey] = { ids };
+    // records and order are written together and removals come after, so a
+    // reader never meets an id without its record
+    if (Object.keys(writes).length) await set(writes);
+    if (!legacy) await remove(dropped);
+  }
+
+  // adds records to the end of the page, or replaces them where their id is
+  // already there
+  async function putRecords(pageKey, records) {
+    const current = await readPage(pageKey);
+    const next = current.slice();
+    const at = new Map(next.map((r, i) => [r.id, i]));
+    records.forEach(r => {
+      if (!r || !r.id) return;
+      if (at.has(r.id)) next[at.get(r.id)] = r;
+      else {
+        at.set(r.id, next.length);
+        next.push(r);
+      }
+    });
+    await writePage(pageKey, next, current);
+  }
+
+  async function removeRecords(pageKey, ids) {
+    const drop = new Set(ids);
+    const current = await readPage(pageKey);
+    await writePage(pageKey, current.filter(r => !drop.has(r.id)), current);
+  }
+
+  async function removePage(pageKey) {
+    await writePage(pageKey, []);
+  }
+
+  // true when a storage change touches the page or one of its records
+  function pageChanged(changes, pageKey) {
+    if (changes[pageKey]) return true;
+    const prefix = recordPrefix(pageKey);
+    return Object.keys(changes).some(key => key.startsWith(prefix));
+  }
+
+  // { bytes, quota, ratio, nearlyFull } for the local storage area
+  function usage() {
+    const area = chrome.storage.local;
+    const quota = area.QUOTA_BYTES || DEFAULT_QUOTA_BYTES;
+    return new Promise(resolve => {
+      if (typeof area.getBytesInUse !== 'function') return resolve(null);
+      area.getBytesInUse(null, bytes => {
+        const ratio = (bytes || 0) / quota;
+        resolve({ bytes: bytes || 0, quota, ratio, nearlyFull: ratio >= WARN_RATIO });
+      });
+    });
+  }
+
+  return {
+    FULL,
+    isPageKey,
+    isHighlightKey,
+    idsOf,
+    recordPage,
+    pagesIn,
+    readPage,
+    writePage,
+    putRecords,
+    removeRecords,
+    removePage,
+    pageChanged,
+    usage
+  };
+})();
@@ -0,0 +1,395 @@
+// highlight-sync.js - Opt-in sync of highlight records and prefs with a
+// server of the user's choosing, over the REST protocol described in
+// README.md ("Sync protocol"; sync-server/server.js is a reference server).
+// Runs in the service worker; the popup edits the settings and shows the
+// status.
+//
+// Every synced item has a key: `<page key>#<record id>` for a record and
+// `prefs` for highlighter_prefs_v1. The server gives each item a version and
+// bumps it on every accepted write. Local changes are found by comparing
+// storage with the last synced copy of each item (a hash kept in the sync
+// state), so the rest of the extension does not report its writes. A record
+// gone from storage is sent as a soft delete (a tombstone). When an item
+// changed on both sides since it last synced, the copy with the later
+// updatedAt wins: the server decides for pushes, this module for pulls.
+// Prefs are merged field by field instead (see mergePrefs), and the fields
+// that only make sense on one device (LOCAL_PREFS) are never sent. The sync
+// settings themselves live under their own key and are never sent either.
+
+const HighlightSync = (() => {
+  const SETTINGS_KEY = 'highlighter_sync_v1';
+  const STATE_KEY = 'highlighter_sync_state_v1';
+  const PREF_KEY = 'highlighter_prefs_v1';
+  const PREFS_ITEM = 'prefs';
+  const PROTOCOL_PATH = '/v1/changes';
+  const MAX_PUSH = 200;
+  const MAX_PREFS_LENGTH = 100000;
+  // per-site drawing mode and page key rules fit the device they were set on
+  const LOCAL_PREFS = ['renderers', 'keyRules'];
+  const REQUEST_TIMEOUT_MS = 20000;
+
+  function get(keys) {
+    return new Promise(resolve => chrome.storage.local.get(keys, obj => resolve(obj || {})));
+  }
+  function set(obj) {
+    return new Promise(resolve => chrome.storage.local.set(obj, () => resolve()));
+  }
+
+  // ---------- settings and state ----------
+
+  function cleanServerUrl(value) {
+    try {
+      const u = new URL(String(value || '').trim());
+      if (u.protocol !== 'http:' && u.protocol !== 'https:') return null;
+      return u.origin + u.pathname.replace(/\/+$/, '');
+    } catch (e) {
+      return null;
+    }
+  }
+
+  // { enabled, serverUrl, token, deviceId }; sync is off until enabled
+  async function settings() {
+    const stored = (await get(SETTINGS_KEY))[SETTINGS_KEY] || {};
+    return {
+      enabled: stored.enabled === true && !!cleanServerUrl(stored.serverUrl),
+      serverUrl: cleanServerUrl(stored.serverUrl) || '',
+      token: typeof stored.token === 'string' ? stored.token : '',
+      deviceId: typeof stored.deviceId === 'string' ? stored.deviceId : ''
+    };
+  }
+
+  // Saves the settings; a different server starts over from an empty state,
+  // so everything here is offered to it. Resolves to an error code or null.
+  async function saveSettings(next) {
+    const current = await settings();
+    const serverUrl = next.serverUrl === undefined ? current.serverUrl : cleanServerUrl(next.serverUrl);
+    if (next.enabled && !serverUrl) return 'invalid_url';
+    const saved = {
+      enabled: !!next.enabled,
+      serverUrl: serverUrl || '',
+      token: typeof next.token === 'string' ? next.token.trim() : current.token,
+      deviceId: current.deviceId || 'd_' + Math.random().toString(36).slice(2, 12)
+    };
+    const payload = { [SETTINGS_KEY]: saved };
+    if (saved.serverUrl !== current.serverUrl) payload[STATE_KEY] = emptyState();
+    await set(payload);
+    return null;
+  }
+
+  function emptyState() {
+    return { cursor: 0, items: {}, lastSyncAt: null, lastError: null, sent: 0, received: 0 };
+  }
+
+  async function state() {
+    const stored = (await get(STATE_KEY))[STATE_KEY];
+    return Object.assign(emptyState(), stored && typeof stored === 'object' ? stored : {});
+  }
+
+  // ---------- items ----------
+
+  // short and stable; only compared with itself
+  function hash(value) {
+    const text = JSON.stringify(value);
+    let h = 5381;
+    for (let i = 0; i < text.length; i++) h = ((h << 5) + h + text.charCodeAt(i)) | 0;
+    return (h >>> 0).toString(36) + ':' + text.length;
+  }
+
+  function recordItemKey(page, id) {
+    return page + '#' + id;
+  }
+
+  // ---------- prefs ----------
+
+  function syncedPrefs(prefs) {
+    const out = Object.assign({}, prefs);
+    LOCAL_PREFS.forEach(name => { delete out[name]; });
+    return out;
+  }
+
+  function fieldHash(value) {
+    return value === undefined ? undefined : hash(value);
+  }
+
+  // name -> hash of each synced field, to tell later which ones changed
+  function fieldHashes(prefs) {
+    const out = {};
+    Object.keys(prefs).forEach(name => { out[name] = hash(prefs[name]); });
+    return out;
+  }
+
+  // what known[PREFS_ITEM] keeps for a synced copy of the prefs
+  function syncedPrefsState(version, data) {
+    const synced = syncedPrefs(data);
+    return { version, hash: hash(synced), fields: fieldHashes(synced) };
+  }
+
+  // Pulled prefs merged into the local ones: a field changed here since the
+  // last sync (base holds its hashes then) keeps its value, and goes out with
+  // the next push; every other synced field takes the pulled value.
+  // LOCAL_PREFS stay as they are here.
+  function mergePrefs(local, remote, base) {
+    const merged = Object.assign({}, local);
+    const names = new Set(Object.keys(syncedPrefs(remote)).concat(Object.keys(syncedPrefs(local))));
+    names.forEach(name => {
+      if (fieldHash(local[name]) !== base[name]) return;
+      if (remote[name] === undefined) delete merged[name];
+      else merged[name] = remote[name];
+    });
+    return merged;
+  }
+
+  // the local items as { key: { type, page, id, updatedAt, data } }
+  function localItems(all) {
+    const out = {};
+    const pages = HighlightStore.pagesIn(all);
+    Object.keys(pages).forEach(page => {
+      pages[page].forEach(rec => {
+        if (!rec || typeof rec.id !== 'string') return;
+        out[recordItemKey(page, rec.id)] = { type: 'record', page, id: rec.id, updatedAt: rec.updatedAt || rec.createdAt || 0, data: rec };
+      });
+    });
+    if (all[PREF_KEY] && typeof all[PREF_KEY] === 'object') {
+      out[PREFS_ITEM] = { type: 'prefs', updatedAt: 0, data: syncedPrefs(all[PREF_KEY]) };
+    }
+    return out;
+  }
+
+  // what changed here since the last sync, in the protocol's change format
+  function localChanges(items, known) {
+    const now = Date.now();
+    const changes = [];
+    Object.keys(items).forEach(key => {
+      const item = items[key];
+      const was = known[key];
+      const h = hash(item.data);
+      if (was && was.hash === h) return;
+      changes.push({
+        key,
+        type: item.type,
+        page: item.page,
+        id: item.id,
+        baseVersion: was ? was.version : 0,
+        // prefs are never newer than the server's copy: a push based on an
+        // older version is turned away, and the pull merges the two
+        updatedAt: item.type === 'prefs' ? 0 : item.updatedAt || now,
+        deleted: false,
+        data: item.data,
+        hash: h
+      });
+    });
+    Object.keys(known).forEach(key => {
+      const was = known[key];
+      if (items[key] || was.deleted || key === PREFS_ITEM) return;
+      const at = key.lastIndexOf('#');
+      changes.push({
+        key,
+        type: 'record',
+        page: key.slice(0, at),
+        id: key.slice(at + 1),
+        baseVersion: was.version,
+        updatedAt: now,
+        deleted: true,
+        data: null,
+        hash: null
+      });
+    });
+    return changes;
+  }
+
+  // a pulled change checked the way an import is; null when unusable
+  function validChange(change) {
+    if (!change || typeof change !== 'object' || typeof change.key !== 'string') return null;
+    if (!Number.isInteger(change.version) || change.version < 1) return null;
+    const updatedAt = Number.isFinite(change.updatedAt) ? change.updatedAt : 0;
+    if (change.type === 'prefs' && change.key === PREFS_ITEM) {
+      if (change.deleted) return null;
+      const data = change.data;
+      if (!data || typeof data !== 'object' || Array.isArray(data) || JSON.stringify(data).length > MAX_PREFS_LENGTH) return null;
+      return { key: PREFS_ITEM, type: 'prefs', version: change.version, updatedAt, deleted: false, data };
+    }
+    if (change.type !== 'record' || !HighlightStore.isPageKey(change.page) || change.page.indexOf('#') !== -1
+      || !HighlightKeys.urlOfKey(change.page) || recordItemKey(change.page, change.id) !== change.key) return null;
+    if (change.deleted === true) {
+      return { key: change.key, type: 'record', page: change.page, id: change.id, version: change.version, updatedAt, deleted: true, data: null };
+    }
+    const data = HighlightIO.sanitizeRecord(change.data);
+    if (!data || data.id !== change.id) return null;
+    return { key: change.key, type: 'record', page: change.page, id: change.id, version: change.version, updatedAt, deleted: false, data };
+  }
+
+  // ---------- server ----------
+
+  async function request(config, method, query, body) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+    const headers = { 'Content-Type': 'application/json' };
+    if (config.token) headers.Authorization = 'Bearer ' + config.token;
+    let res;
+    try {
+      res = await fetch(config.serverUrl + PROTOCOL_PATH + (query || ''), {
+        method,
+        headers,
+        body: body ? JSON.stringify(body) : undefined,
+        signal: controller.signal,
+        credentials: 'omit',
+        cache: 'no-store'
+      });
+    } catch (e) {
+      throw new Error(e && e.name === 'AbortError' ? 'timeout' : 'unreachable');
+    } finally {
+      clearTimeout(timer);
+    }
+    if (res.status === 401 || res.status === 403) throw new Error('unauthorized');
+    if (!res.ok) throw new Error('http_' + res.status);
+    try {
+      return await res.json();
+    } catch (e) {
+      throw new Error('bad_response');
+    }
+  }
+
+  async function push(config, changes, known) {
+    let sent = 0;
+    for (let i = 0; i < changes.length; i += MAX_PUSH) {
+      const batch = changes.slice(i, i + MAX_PUSH);
+      const wire = batch.map(c => {
+        const out = Object.assign({}, c);
+        delete out.hash;
+        return out;
+      });
+      const res = await request(config, 'POST', '', { device: config.deviceId, changes: wire });
+      const results = res && Array.isArray(res.results) ? res.results : [];
+      const byKey = new Map(batch.map(c => [c.key, c]));
+      results.forEach(r => {
+        const change = r && byKey.get(r.key);
+        if (!change || r.applied !== true || !Number.isInteger(r.version)) return;
+        // rejected changes lost to a newer copy, which the pull brings in
+        if (change.type === 'prefs') known[change.key] = syncedPrefsState(r.version, change.data);
+        else known[change.key] = change.deleted ? { version: r.version, hash: null, deleted: true } : { version: r.version, hash: change.hash };
+        sent++;
+      });
+    }
+    return sent;
+  }
+
+  // applies pulled changes to storage; the later updatedAt wins where this
+  // device changed the item too
+  async function apply(changes, known) {
+    const byPage = new Map();
+    let prefs = null;
+    changes.forEach(c => {
+      if (known[c.key] && known[c.key].version >= c.version) return;
+      if (c.type === 'prefs') prefs = c;
+      else {
+        if (!byPage.has(c.page)) byPage.set(c.page, []);
+        byPage.get(c.page).push(c);
+      }
+    });
+
+    let received = 0;
+    for (const [page, list] of byPage) {
+      const before = await HighlightStore.readPage(page);
+      const next = before.slice();
+      const at = new Map(next.map((r, i) => [r.id, i]));
+      const trashed = [];
+      list.forEach(c => {
+        const i = at.has(c.id) ? at.get(c.id) : -1;
+        const local = i === -1 ? null : next[i];
+        const was = known[c.key];
+        const changedHere = local && (!was || was.hash !== hash(local));
+        known[c.key] = c.deleted ? { version: c.version, hash: null, deleted: true } : { version: c.version, hash: hash(c.data) };
+        if (changedHere && (local.updatedAt || 0) > c.updatedAt) return;
+        if (c.deleted) {
+          if (!local) return;
+          trashed.push(local);
+          next[i] = null;
+        } else if (local) {
+          next[i] = c.data;
+        } else {
+          at.set(c.id, next.length);
+          next.push(c.data);
+        }
+        received++;
+      });
+      // trashed first: a full storage fails the sync and keeps the records
+      if (trashed.length && typeof HighlightTrash !== 'undefined') await HighlightTrash.add(page, trashed, 'synced');
+      await HighlightStore.writePage(page, next.filter(Boolean), before);
+    }
+
+    if (prefs) {
+      const local = (await get(PREF_KEY))[PREF_KEY] || {};
+      const was = known[PREFS_ITEM];
+      const synced = syncedPrefs(local);
+      // unchanged since the last sync: no field counts as changed here. A
+      // state from before per-field hashes counts every local field instead.
+      const base = was && was.hash === hash(synced) ? fieldHashes(synced) : (was && was.fields) || {};
+      known[PREFS_ITEM] = syncedPrefsState(prefs.version, prefs.data);
+      const merged = mergePrefs(local, prefs.data, base);
+      if (hash(merged) !== hash(local)) {
+        await set({ [PREF_KEY]: merged });
+        received++;
+      }
+    }
+    return received;
+  }
+
+  async function pull(config, current) {
+    let cursor = current.cursor;
+    let received = 0;
+    for (;;) {
+      const res = await request(config, 'GET', '?since=' + encodeURIComponent(cursor));
+      if (!res || !Array.isArray(res.changes) || !Number.isInteger(res.cursor)) throw new Error('bad_response');
+      received += await apply(res.changes.map(validChange).filter(Boolean), current.items);
+      cursor = Math.max(cursor, res.cursor);
+      if (res.more !== true || !res.changes.length) break;
+    }
+    current.cursor = cursor;
+    return received;
+  }
+
+  // ---------- sync ----------
+
+  let running = null;
+
+  // One push-then-pull round. Resolves to the sync state; errors are kept in
+  // it (lastError) rather than thrown. Does nothing while sync is off.
+  function sync() {
+    if (!running) running = run().finally(() => { running = null; });
+    return running;
+  }
+
+  async function run() {
+    const config = await settings();
+    const current = await state();
+    if (!config.enabled) return current;
+    try {
+      const all = await get(null);
+      const changes = localChanges(localItems(all), current.items);
+      current.sent = await push(config, changes, current.items);
+      current.received = await pull(config, current);
+      current.lastSyncAt = Date.now();
+      current.lastError = null;
+    } catch (e) {
+      current.lastError = (e && e.message) || 'error';
+    }
+    // the settings may have been changed while this round ran
+    if ((await settings()).serverUrl === config.serverUrl) await set({ [STATE_KEY]: current });
+    return current;
+  }
+
+  // true for storage keys whose changes are synced
+  function isSyncedKey(key) {
+    return key === PREF_KEY || HighlightStore.isHighlightKey(key);
+  }
+
+  return {
+    SETTINGS_KEY,
+    STATE_KEY,
+    settings,
+    saveSettings,
+    state,
+    sync,
+    isSyncedKey
+  };
+})();
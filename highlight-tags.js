@@ -0,0 +1,137 @@
+// highlight-tags.js - Color labels and highlight tags, shared by the content
+// script, the service worker, the popup, the library and the trash page.
+//
+// Labels give palette colors a meaning ("key claim", "disagree") and are kept
+// in the prefs as colorLabels: { '#rrggbb': label }. Tags are free-form words
+// stored per highlight as `tags` on its record. Every list of highlights
+// filters on either through the same option values, 'label:<label>' or
+// 'tag:<tag>' (lowercased), so filters behave the same everywhere.
+
+const HighlightTags = (() => {
+  const MAX_LABEL_LENGTH = 40;
+  const MAX_TAG_LENGTH = 40;
+  const MAX_TAGS = 20;
+
+  function isValidHexColor(c) {
+    return /^#([0-9A-Fa-f]{3}|[0-9A-Fa-f]{6})$/.test(c);
+  }
+
+  // '#ABC' and '#aabbcc' name the same color
+  function colorKey(color) {
+    if (!isValidHexColor(color)) return null;
+    const hex = color.slice(1).toLowerCase();
+    return '#' + (hex.length === 3 ? hex.split('').map(x => x + x).join('') : hex);
+  }
+
+  function cleanText(value, max) {
+    return typeof value === 'string' ? value.replace(/\s+/g, ' ').trim().slice(0, max) : '';
+  }
+
+  // prefs.colorLabels with invalid entries dropped
+  function labels(prefs) {
+    const raw = prefs && prefs.colorLabels;
+    const out = {};
+    if (!raw || typeof raw !== 'object') return out;
+    Object.keys(raw).forEach(color => {
+      const key = colorKey(color);
+      const label = cleanText(raw[color], MAX_LABEL_LENGTH);
+      if (key && label) out[key] = label;
+    });
+    return out;
+  }
+
+  function labelFor(labelMap, color) {
+    const key = colorKey(color);
+    return (key && labelMap[key]) || '';
+  }
+
+  // sets (or, with an empty label, removes) the label of color; returns prefs
+  function setLabel(prefs, color, label) {
+    const key = colorKey(color);
+    const next = labels(prefs);
+    if (!key) return prefs;
+    const clean = cleanText(label, MAX_LABEL_LENGTH);
+    if (clean) next[key] = clean;
+    else delete next[key];
+    prefs.colorLabels = next;
+    return prefs;
+  }
+
+  // "claim, #todo , Todo" or ['claim', 'todo'] -> ['claim', 'todo']: trimmed,
+  // leading '#' dropped, duplicates (ignoring case) removed
+  function parseTags(value) {
+    const parts = Array.isArray(value) ? value : typeof value === 'string' ? value.split(',') : [];
+    const seen = new Set();
+    const out = [];
+    parts.forEach(part => {
+      const tag = typeof part === 'string' ? cleanText(part.replace(/,/g, ' ').replace(/^\s*#+/, ''), MAX_TAG_LENGTH) : '';
+      if (!tag || seen.has(tag.toLowerCase()) || out.length >= MAX_TAGS) return;
+      seen.add(tag.toLowerCase());
+      out.push(tag);
+    });
+    return out;
+  }
+
+  // "Key claim · #todo #later" for tooltips and list rows; '' when neither
+  function describe(item, labelMap) {
+    const parts = [];
+    const label = labelFor(labelMap, item.color);
+    if (label) parts.push(label);
+    const tags = parseTags(item.tags);
+    if (tags.length) parts.push(tags.map(t => '#' + t).join(' '));
+    return parts.join(' · ');
+  }
+
+  // the labels and tags used by items, as [{ value, text }] filter options
+  function filterOptions(items, labelMap) {
+    const found = new Map();
+    items.forEach(item => {
+      const label = labelFor(labelMap, item.color);
+      if (label) found.set('label:' + label.toLowerCase(), 'Label: ' + label);
+      parseTags(item.tags).forEach(tag => {
+        if (!found.has('tag:' + tag.toLowerCase())) found.set('tag:' + tag.toLowerCase(), '#' + tag);
+      });
+    });
+    // labels first, then tags, each alphabetically
+    return Array.from(found.entries()).sort(([a], [b]) => a.localeCompare(b)).map(([value, text]) => ({ value, text }));
+  }
+
+  function matches(item, filter, labelMap) {
+    if (!filter) return true;
+    const cut = filter.indexOf(':');
+    const kind = filter.slice(0, cut);
+    const value = filter.slice(cut + 1);
+    if (kind === 'label') return labelFor(labelMap, item.color).toLowerCase() === value;
+    if (kind === 'tag') return parseTags(item.tags).some(t => t.toLowerCase() === value);
+    return true;
+  }
+
+  // Refills a filter <select> whose first option is "All"; the current choice
+  // is kept while it is still offered. Returns the resulting value.
+  function fillFilterSelect(select, options) {
+    const keep = select.value;
+    while (select.options.length > 1) select.remove(1);
+    options.forEach(o => {
+      const opt = document.createElement('option');
+      opt.value = o.value;
+      opt.textContent = o.text;
+      select.appendChild(opt);
+    });
+    select.value = options.some(o => o.value === keep) ? keep : '';
+    return select.value;
+  }
+
+  return {
+    MAX_LABEL_LENGTH,
+    MAX_TAG_LENGTH,
+    MAX_TAGS,
+    labels,
+    labelFor,
+    setLabel,
+    parseTags,
+    describe,
+    filterOptions,
+    matches,
+    fillFilterSelect
+  };
+})();
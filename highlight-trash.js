@@ -0,0 +1,146 @@
+// highlight-trash.js - Deleted highlights and cleared pages, kept for a while
+// so they can be restored. Shared by the content script (removals and Clear
+// All on the page), the library (deletes), the trash page and the service
+// worker (purge, and deletes that arrive through sync or the external API).
+//
+// The trash is one storage entry holding a list of items, newest first:
+//   { id, key, records, reason, deletedAt }
+// `key` is the page's `highlights::<origin>::<path>` entry and `records`
+// are the original records, untouched. Items older than the retention period
+// (prefs.trashRetentionDays, 30 days by default) are purged.
+//
+// Writes reject like HighlightStore's ('storage_full' when storage is out of
+// room), so callers move records to the trash before deleting them and keep
+// them when that fails.
+
+const HighlightTrash = (() => {
+  const TRASH_KEY = 'highlight_trash_v1';
+  const PREF_KEY = 'highlighter_prefs_v1';
+  const HIGHLIGHT_PREFIX = 'highlights::';
+  const DEFAULT_RETENTION_DAYS = 30;
+  const MAX_RETENTION_DAYS = 365;
+  const MAX_ITEMS = 1000;
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  // why an item is in the trash, as shown on the trash page
+  const REASONS = {
+    removed: 'Removed on the page',
+    cleared: 'Page cleared',
+    deleted: 'Deleted in the library',
+    'page-deleted': 'Page deleted in the library',
+    orphan: 'Unplaced highlight deleted',
+    synced: 'Deleted on another device',
+    external: 'Deleted by another app'
+  };
+
+  function get(key) {
+    return new Promise(resolve => chrome.storage.local.get(key, obj => resolve(obj[key])));
+  }
+  function set(obj) {
+    return new Promise((resolve, reject) => chrome.storage.local.set(obj, () => {
+      const err = chrome.runtime.lastError;
+      if (!err) return resolve();
+      reject(new Error(/quota/i.test(err.message || '') ? HighlightStore.FULL : err.message || 'storage_error'));
+    }));
+  }
+
+  function retentionDays(prefs) {
+    const days = prefs && prefs.trashRetentionDays;
+    return Number.isInteger(days) && days >= 1 && days <= MAX_RETENTION_DAYS ? days : DEFAULT_RETENTION_DAYS;
+  }
+
+  function isItem(item) {
+    return !!(item && typeof item.id === 'string' && typeof item.key === 'string'
+      && item.key.startsWith(HIGHLIGHT_PREFIX) && Array.isArray(item.records) && typeof item.deletedAt === 'number');
+  }
+
+  // the current items with expired ones dropped (and the drop written back)
+  async function list() {
+    const [stored, prefs] = await Promise.all([get(TRASH_KEY), get(PREF_KEY)]);
+    const all = Array.isArray(stored) ? stored : [];
+    const cutoff = Date.now() - retentionDays(prefs) * DAY_MS;
+    const items = all.filter(item => isItem(item) && item.deletedAt > cutoff);
+    if (items.length !== all.length) await set({ [TRASH_KEY]: items });
+    return items;
+  }
+
+  async function add(key, records, reason) {
+    const kept = (Array.isArray(records) ? records : []).filter(r => r && r.id);
+    if (!kept.length) return;
+    const items = await list();
+    items.unshift({
+      id: 't_' + Math.random().toString(36).slice(2, 9),
+      key,
+      records: kept,
+      reason: REASONS[reason] ? reason : 'removed',
+      deletedAt: Date.now()
+    });
+    await set({ [TRASH_KEY]: items.slice(0, MAX_ITEMS) });
+  }
+
+  // Puts the items' records back on their pages. Records whose id is already
+  // on the page (e.g. brought back by Undo) are skipped. Pages are written
+  // before the items leave the trash, so a full storage loses nothing.
+  async function restore(ids) {
+    const wanted = new Set(ids);
+    const items = await list();
+    const pages = new Map(); // key -> { before, records }
+    const stats = { restored: 0, skipped: 0 };
+    const remaining = [];
+
+    for (const item of items) {
+      if (!wanted.has(item.id)) {
+        remaining.push(item);
+        continue;
+      }
+      if (!pages.has(item.key)) {
+        const before = await HighlightStore.readPage(item.key);
+        pages.set(item.key, { before, records: before.slice() });
+      }
+      const page = pages.get(item.key).records;
+      const present = new Set(page.map(r => r.id));
+      const incoming = item.records.filter(r => !present.has(r.id));
+      incoming.forEach(r => page.push(Object.assign({}, r, { updatedAt: Date.now() })));
+      stats.restored += incoming.length;
+      stats.skipped += item.records.length - incoming.length;
+    }
+
+    for (const [key, page] of pages) await HighlightStore.writePage(key, page.records, page.before);
+    await set({ [TRASH_KEY]: remaining });
+    return stats;
+  }
+
+  // points items at their page's new key after a URL rule change;
+  // renamed maps old keys to new ones
+  async function rekey(renamed) {
+    const items = await list();
+    let changed = false;
+    items.forEach(item => {
+      if (renamed.has(item.key)) {
+        item.key = renamed.get(item.key);
+        changed = true;
+      }
+    });
+    if (changed) await set({ [TRASH_KEY]: items });
+  }
+
+  async function remove(ids) {
+    const drop = new Set(ids);
+    const items = await list();
+    await set({ [TRASH_KEY]: items.filter(item => !drop.has(item.id)) });
+  }
+
+  return {
+    TRASH_KEY,
+    REASONS,
+    DEFAULT_RETENTION_DAYS,
+    MAX_RETENTION_DAYS,
+    retentionDays,
+    list,
+    add,
+    restore,
+    rekey,
+    remove,
+    purgeExpired: list
+  };
+})();
@@ -0,0 +1,326 @@
+// library.js - Lists every page stored under `highlights::<origin>::<pathname>`
+// with its highlights, and lets the user search, filter (by color, label or
+// tag, domain and date), sort and delete them.
+// Deleted highlights and pages go to the trash (trash.html).
+// All page text is rendered with textContent; links only ever point at the
+// http(s) page the highlights were made on.
+
+const PREF_KEY = 'highlighter_prefs_v1';
+
+const searchInput = document.getElementById('search');
+const colorFilter = document.getElementById('color-filter');
+const tagFilter = document.getElementById('tag-filter');
+const domainFilter = document.getElementById('domain-filter');
+const dateFrom = document.getElementById('date-from');
+const dateTo = document.getElementById('date-to');
+const sortSelect = document.getElementById('sort');
+const summaryEl = document.getElementById('summary');
+const storageWarningEl = document.getElementById('storage-warning');
+const pagesContainer = document.getElementById('pages');
+const exportScope = document.getElementById('export-scope');
+const exportFormat = document.getElementById('export-format');
+const importFile = document.getElementById('import-file');
+const msgEl = document.getElementById('msg');
+
+let pages = [];
+let colorLabels = {};
+
+// ---------- utilities ----------
+function showMsg(text, isError = true) {
+  if (!msgEl) return;
+  msgEl.textContent = text || '';
+  msgEl.style.color = isError ? 'red' : 'green';
+  if (text) setTimeout(() => { msgEl.textContent = ''; }, 5000);
+}
+
+function isValidHexColor(c) {
+  return /^#([0-9A-Fa-f]{3}|[0-9A-Fa-f]{6})$/.test(c);
+}
+
+function storageGetAll() {
+  return new Promise((resolve) => {
+    chrome.storage.local.get(null, (obj) => resolve(obj || {}));
+  });
+}
+
+function formatDate(ts) {
+  if (!ts) return '';
+  return new Date(ts).toLocaleString();
+}
+
+function pageUpdatedAt(page) {
+  return page.records.reduce((max, r) => Math.max(max, r.updatedAt || r.createdAt || 0), 0);
+}
+
+// ---------- data ----------
+async function loadPages() {
+  const all = await storageGetAll();
+  colorLabels = HighlightTags.labels(all[PREF_KEY]);
+  // collectPages falls back to the raw key text for non-http(s) URLs; only link real pages
+  return HighlightIO.collectPages(all, { type: 'all' })
+    .map(p => Object.assign(p, { url: HighlightIO.pageUrl(p.origin, p.pathname) }));
+}
+
+// deleted highlights are in the trash before they leave their page, so a
+// full storage keeps them where they were
+async function deleteHighlight(page, id) {
+  const current = await HighlightStore.readPage(page.key);
+  await HighlightTrash.add(page.key, current.filter(r => r.id === id), 'deleted');
+  await HighlightStore.writePage(page.key, current.filter(r => r.id !== id), current);
+}
+
+async function deletePage(page) {
+  const current = await HighlightStore.readPage(page.key);
+  await HighlightTrash.add(page.key, current, 'page-deleted');
+  await HighlightStore.removePage(page.key);
+}
+
+function showDeleteFailure(e) {
+  if (e && e.message === HighlightStore.FULL) {
+    showMsg('Storage is full: nothing was deleted, as the trash has no room. Empty the trash or export and delete old pages.');
+    return;
+  }
+  console.error('delete error', e);
+  showMsg('Could not delete: storage could not be written. Nothing was removed.');
+}
+
+// highlights are never dropped to make room, so say when room runs out
+async function showStorageUsage() {
+  const usage = await HighlightStore.usage();
+  storageWarningEl.hidden = !(usage && usage.nearlyFull);
+  if (storageWarningEl.hidden) return;
+  storageWarningEl.textContent = 'Storage is ' + Math.min(100, Math.round(usage.ratio * 100))
+    + '% full. New highlights may not be saved: export old pages and delete them to make room.';
+}
+
+// ---------- filtering ----------
+function currentFilters() {
+  const from = dateFrom.value ? new Date(dateFrom.value + 'T00:00:00').getTime() : null;
+  const to = dateTo.value ? new Date(dateTo.value + 'T23:59:59.999').getTime() : null;
+  return {
+    query: searchInput.value.trim().toLowerCase(),
+    color: colorFilter.value,
+    tag: tagFilter.value,
+    domain: domainFilter.value,
+    from,
+    to
+  };
+}
+
+function recordMatches(page, rec, f) {
+  if (f.color && (rec.color || '').toLowerCase() !== f.color) return false;
+  if (!HighlightTags.matches(rec, f.tag, colorLabels)) return false;
+  const ts = rec.createdAt || 0;
+  if (f.from !== null && ts < f.from) return false;
+  if (f.to !== null && ts > f.to) return false;
+  if (f.query) {
+    const haystack = [rec.text, rec.note, HighlightTags.describe(rec, colorLabels), page.title, page.origin + page.pathname]
+      .join('\n').toLowerCase();
+    if (haystack.indexOf(f.query) === -1) return false;
+  }
+  return true;
+}
+
+function filteredPages() {
+  const f = currentFilters();
+  const list = [];
+  pages.forEach(page => {
+    if (f.domain && page.origin !== f.domain) return;
+    const records = page.records.filter(r => recordMatches(page, r, f));
+    if (records.length) list.push(Object.assign({}, page, { shown: records }));
+  });
+
+  const sort = sortSelect.value;
+  if (sort === 'oldest') list.sort((a, b) => pageUpdatedAt(a) - pageUpdatedAt(b));
+  else if (sort === 'page') list.sort((a, b) => (a.title || a.url || '').localeCompare(b.title || b.url || ''));
+  else if (sort === 'count') list.sort((a, b) => b.shown.length - a.shown.length);
+  else list.sort((a, b) => pageUpdatedAt(b) - pageUpdatedAt(a));
+
+  const byDate = sort === 'oldest' ? 1 : -1;
+  list.forEach(p => p.shown.sort((a, b) => byDate * ((a.createdAt || 0) - (b.createdAt || 0))));
+  return list;
+}
+
+// ---------- UI renderers ----------
+function renderFilterOptions() {
+  const colors = new Set();
+  const domains = new Set();
+  pages.forEach(p => {
+    domains.add(p.origin);
+    p.records.forEach(r => { if (isValidHexColor(r.color)) colors.add(r.color.toLowerCase()); });
+  });
+
+  const fill = (select, values, decorate) => {
+    const keep = select.value;
+    while (select.options.length > 1) select.remove(1);
+    Array.from(values).sort().forEach(v => {
+      const opt = document.createElement('option');
+      opt.value = v;
+      opt.textContent = v;
+      if (decorate) decorate(opt, v);
+      select.appendChild(opt);
+    });
+    select.value = values.has(keep) ? keep : '';
+  };
+  fill(colorFilter, colors, (opt, c) => {
+    opt.style.backgroundColor = c;
+    const label = HighlightTags.labelFor(colorLabels, c);
+    if (label) opt.textContent = c + ' — ' + label;
+  });
+  fill(domainFilter, domains);
+  fill(exportScope, domains);
+  const records = [];
+  pages.forEach(p => records.push(...p.records));
+  HighlightTags.fillFilterSelect(tagFilter, HighlightTags.filterOptions(records, colorLabels));
+}
+
+function renderHighlight(page, rec) {
+  const li = document.createElement('li');
+
+  const chip = document.createElement('span');
+  chip.className = 'chip';
+  if (isValidHexColor(rec.color)) chip.style.backgroundColor = rec.color;
+  chip.title = HighlightTags.labelFor(colorLabels, rec.color) || rec.color || '';
+
+  const body = document.createElement('div');
+  body.className = 'body';
+  const text = document.createElement('div');
+  text.className = 'text';
+  text.textContent = rec.text;
+  body.appendChild(text);
+  if (rec.note) {
+    const note = document.createElement('div');
+    note.className = 'note';
+    note.textContent = rec.note;
+    body.appendChild(note);
+  }
+  const meta = document.createElement('div');
+  meta.className = 'meta';
+  meta.textContent = [HighlightTags.describe(rec, colorLabels), formatDate(rec.createdAt)].filter(Boolean).join(' · ')
+    + (rec.orphaned ? ' · ⚠ could not be placed on the page' : '');
+  body.appendChild(meta);
+
+  const del = document.createElement('button');
+  del.textContent = 'Delete';
+  del.title = 'Delete this highlight';
+  del.addEventListener('click', async () => {
+    await deleteHighlight(page, rec.id).catch(showDeleteFailure);
+  });
+
+  li.append(chip, body, del);
+  return li;
+}
+
+function renderPage(page) {
+  const section = document.createElement('section');
+  section.className = 'page';
+
+  const head = document.createElement('div');
+  head.className = 'page-head';
+  const titleBox = document.createElement('div');
+  titleBox.className = 'page-title';
+  const label = page.title || page.origin + page.pathname;
+  if (page.url) {
+    const a = document.createElement('a');
+    a.href = page.url;
+    a.target = '_blank';
+    a.rel = 'noopener noreferrer';
+    a.textContent = label;
+    titleBox.appendChild(a);
+  } else {
+    titleBox.textContent = label;
+  }
+  const url = document.createElement('div');
+  url.className = 'page-url';
+  url.textContent = page.origin + page.pathname + ' · ' + page.records.length + ' highlight' + (page.records.length === 1 ? '' : 's');
+  titleBox.appendChild(url);
+
+  const del = document.createElement('button');
+  del.textContent = 'Delete page';
+  del.title = 'Delete every highlight saved for this page';
+  del.addEventListener('click', async () => {
+    if (!confirm('Delete all ' + page.records.length + ' highlights saved for ' + label + '?')) return;
+    await deletePage(page).catch(showDeleteFailure);
+  });
+
+  head.append(titleBox, del);
+  section.appendChild(head);
+
+  const list = document.createElement('ul');
+  list.className = 'highlights';
+  page.shown.forEach(rec => list.appendChild(renderHighlight(page, rec)));
+  section.appendChild(list);
+  return section;
+}
+
+function render() {
+  const list = filteredPages();
+  pagesContainer.innerHTML = '';
+
+  const total = pages.reduce((n, p) => n + p.records.length, 0);
+  const shown = list.reduce((n, p) => n + p.shown.length, 0);
+  summaryEl.textContent = shown === total
+    ? total + ' highlights on ' + pages.length + ' pages'
+    : 'Showing ' + shown + ' of ' + total + ' highlights';
+
+  if (!list.length) {
+    const empty = document.createElement('div');
+    empty.className = 'empty';
+    empty.textContent = total ? 'No highlights match these filters.' : 'No highlights saved yet.';
+    pagesContainer.appendChild(empty);
+    return;
+  }
+  list.forEach(page => pagesContainer.appendChild(renderPage(page)));
+}
+
+async function refresh() {
+  pages = await loadPages();
+  renderFilterOptions();
+  render();
+  await showStorageUsage();
+}
+
+// ---------- event handlers ----------
+[searchInput, colorFilter, tagFilter, domainFilter, dateFrom, dateTo, sortSelect].forEach(el => {
+  el.addEventListener(el === searchInput ? 'input' : 'change', render);
+});
+
+document.getElementById('export').addEventListener('click', async () => {
+  const origin = exportScope.value;
+  const scope = origin ? { type: 'domain', origin } : { type: 'all' };
+  const selected = HighlightIO.collectPages(await storageGetAll(), scope);
+  if (!selected.length) {
+    showMsg('Nothing to export.');
+    return;
+  }
+  const name = 'highlights-' + (origin ? new URL(origin).hostname : 'all') + '-' + new Date().toISOString().slice(0, 10);
+  HighlightIO.download(name, HighlightIO.exportPages(selected, exportFormat.value), exportFormat.value);
+});
+
+document.getElementById('import').addEventListener('click', () => importFile.click());
+
+importFile.addEventListener('change', async () => {
+  const file = importFile.files && importFile.files[0];
+  importFile.value = '';
+  if (!file) return;
+  try {
+    const stats = await HighlightIO.importInto(await file.text(), { getAll: storageGetAll });
+    showMsg('Imported: ' + stats.added + ' added, ' + stats.updated + ' updated, ' + stats.unchanged + ' unchanged, '
+      + stats.skipped + ' skipped (invalid) on ' + stats.pages + ' pages.', false);
+  } catch (e) {
+    if (e.message === HighlightStore.FULL) showMsg('Import stopped: storage is full. Delete old highlights and import again.');
+    else showMsg(e.message === 'unknown_format'
+      ? 'Import failed: use a JSON backup or Web Annotation export.'
+      : 'Import failed: the file is not valid JSON.');
+  }
+});
+
+// keep the list current after deletes here, highlights made in other tabs and
+// edited color labels
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area !== 'local') return;
+  if (changes[PREF_KEY] || Object.keys(changes).some(HighlightStore.isHighlightKey)) refresh();
+});
+
+// ---------- init ----------
+refresh();
@@ -4,12 +4,50 @@
 const originEl = document.getElementById('origin');
 const msgEl = document.getElementById('msg');
 const colorInput = document.getElementById('color');
+const styleSelect = document.getElementById('style');
+const labelInput = document.getElementById('color-label');
 const recentsContainer = document.getElementById('recents');
 const vibgyorContainer = document.getElementById('vibgyor');
+const highlightsSection = document.getElementById('page-highlights');
+const highlightsTitle = document.getElementById('page-highlights-title');
+const highlightList = document.getElementById('highlight-list');
+const highlightFilter = document.getElementById('highlight-filter');
+const orphansSection = document.getElementById('orphans');
+const orphansTitle = document.getElementById('orphans-title');
+const orphanList = document.getElementById('orphan-list');
+const rendererSelect = document.getElementById('renderer');
+const keyParamsInput = document.getElementById('key-params');
+const keyCanonicalBox = document.getElementById('key-canonical');
+const undoBtn = document.getElementById('undo');
+const redoBtn = document.getElementById('redo');
+const storageWarningEl = document.getElementById('storage-warning');
+const autoSection = document.getElementById('auto');
+const autoEnabledBox = document.getElementById('auto-enabled');
+const autoSummaryEl = document.getElementById('auto-summary');
+const syncEnabledBox = document.getElementById('sync-enabled');
+const syncUrlInput = document.getElementById('sync-url');
+const syncTokenInput = document.getElementById('sync-token');
+const syncNowBtn = document.getElementById('sync-now');
+const syncStatusEl = document.getElementById('sync-status');
 
 const PREF_KEY = 'highlighter_prefs_v1';
 const MAX_RECENTS = 5;
 const DEFAULT_COLOR = '#fff176';
+// highlight styles, as named in the style picker
+const STYLE_NAMES = {
+  background: 'Background',
+  underline: 'Underline',
+  wavy: 'Wavy underline',
+  outline: 'Outline',
+  text: 'Text color'
+};
+const HIGHLIGHT_STYLES = Object.keys(STYLE_NAMES);
+const DEFAULT_STYLE = 'background';
+
+let colorLabels = {};
+let pageHighlights = [];
+// storage key of the page the auto-highlight switch acts on
+let autoPageKey = null;
 const VIBGYOR = ['#ff1744', '#ffb8ec', '#ff9100', '#ffd600', '#a7e8c8', '#76ff03', '#00e5ff', '#2979ff', '#d500f9', '#757372'];
 
 // ---------- utilities ----------
@@ -20,6 +58,25 @@ function showMsg(text, isError = true) {
   if (text) setTimeout(() => { msgEl.textContent = ''; }, 3500);
 }
 
+// what a failed page action tells the user; a full storage is named as such
+function showFailure(res, text) {
+  if (res && res.err === HighlightStore.FULL) {
+    showMsg('Storage is full: the change is not saved. Delete old highlights in the library.');
+    showStorageUsage();
+  } else {
+    showMsg(text);
+  }
+}
+
+// highlights are never dropped to make room, so say when room runs out
+async function showStorageUsage() {
+  const usage = await HighlightStore.usage();
+  storageWarningEl.hidden = !(usage && usage.nearlyFull);
+  if (storageWarningEl.hidden) return;
+  storageWarningEl.textContent = '⚠️ Storage is ' + Math.min(100, Math.round(usage.ratio * 100))
+    + '% full. Export and delete old highlights in the library.';
+}
+
 function isValidHexColor(c) {
   return /^#([0-9A-Fa-f]{3}|[0-9A-Fa-f]{6})$/.test(c);
 }
@@ -38,23 +95,58 @@ function storageSet(obj) {
 }
 
 // ---------- prefs (load/save) ----------
+// other prefs fields (e.g. per-site renderers) are carried through untouched
 async function loadPrefs() {
   const data = await storageGet(PREF_KEY);
-  if (!data) return { lastColor: DEFAULT_COLOR, recents: [] };
+  if (!data) return { lastColor: DEFAULT_COLOR, lastStyle: DEFAULT_STYLE, recents: [] };
   const lastColor = isValidHexColor(data.lastColor) ? data.lastColor : DEFAULT_COLOR;
+  const lastStyle = HIGHLIGHT_STYLES.indexOf(data.lastStyle) !== -1 ? data.lastStyle : DEFAULT_STYLE;
   const recents = Array.isArray(data.recents) ? data.recents.filter(c => isValidHexColor(c)).slice(0, MAX_RECENTS) : [];
-  return { lastColor, recents };
+  return Object.assign({}, data, { lastColor, lastStyle, recents });
 }
 
 async function savePrefs(prefs) {
   const payload = {};
-  payload[PREF_KEY] = {
+  payload[PREF_KEY] = Object.assign({}, prefs, {
     lastColor: prefs.lastColor,
     recents: (prefs.recents || []).slice(0, MAX_RECENTS)
-  };
+  });
   await storageSet(payload);
 }
 
+// per-site renderer: 'spans' (default) or 'highlight-api'; the content script
+// picks up the change from storage and redraws straight away
+async function setSiteRenderer(origin, name) {
+  const prefs = await loadPrefs();
+  const renderers = Object.assign({}, prefs.renderers);
+  if (name === 'highlight-api') renderers[origin] = name;
+  else delete renderers[origin];
+  prefs.renderers = renderers;
+  await savePrefs(prefs);
+}
+
+// per-site URL rule (see highlight-keys.js): the service worker re-keys the
+// site's stored pages and saves the rule, then the content script follows the
+// new rule from storage. Resolves to { ok, moved } or { ok: false, err }.
+function setSiteKeyRule(origin, rule) {
+  return new Promise(resolve => chrome.runtime.sendMessage({ action: 'setSiteKeyRule', origin, rule }, res => {
+    void chrome.runtime.lastError;
+    resolve(res || { ok: false, err: 'no_response' });
+  }));
+}
+
+// auto-highlight rules are switched off per page, by the page's storage key;
+// the content script picks up the change from storage
+async function setAutoHighlightOff(key, off) {
+  await savePrefs(HighlightRules.setOff(await loadPrefs(), key, off));
+}
+
+function showKeyRule(prefs, origin) {
+  const rule = HighlightKeys.ruleFor(prefs.keyRules, origin);
+  keyParamsInput.value = rule.params === HighlightKeys.ALL_PARAMS ? rule.params : rule.params.join(', ');
+  keyCanonicalBox.checked = rule.canonical;
+}
+
 // add color to recents (called only after a highlight is applied)
 async function addToRecents(color) {
   if (!isValidHexColor(color)) return;
@@ -75,7 +167,34 @@ async function setLastColorOnly(color) {
   await savePrefs(prefs);
 }
 
+// the style is remembered as soon as it is picked; the keyboard shortcut and
+// right-click menu use it too
+async function setLastStyle(style) {
+  if (HIGHLIGHT_STYLES.indexOf(style) === -1) return;
+  const prefs = await loadPrefs();
+  prefs.lastStyle = style;
+  await savePrefs(prefs);
+}
+
+// labels name what a color means (see highlight-tags.js); an empty label removes it
+async function saveColorLabel(color, label) {
+  if (!isValidHexColor(color)) return;
+  const prefs = HighlightTags.setLabel(await loadPrefs(), color, label);
+  await savePrefs(prefs);
+  colorLabels = HighlightTags.labels(prefs);
+}
+
 // ---------- UI renderers ----------
+function swatchTitle(color) {
+  const label = HighlightTags.labelFor(colorLabels, color);
+  return label ? label + ' (' + color + ')' : color;
+}
+
+// the label field follows the current color
+function showColorLabel() {
+  labelInput.value = HighlightTags.labelFor(colorLabels, colorInput.value);
+}
+
 function renderRecents(recents) {
   if (!recentsContainer) return;
   recentsContainer.innerHTML = '';
@@ -84,7 +203,7 @@ function renderRecents(recents) {
     const d = document.createElement('div');
     d.className = 'swatch';
     d.style.backgroundColor = c;
-    d.title = c;
+    d.title = swatchTitle(c);
     d.style.width = '28px';
     d.style.height = '28px';
     d.style.borderRadius = '4px';
@@ -92,6 +211,7 @@ function renderRecents(recents) {
     d.style.cursor = 'pointer';
     d.addEventListener('click', async () => {
       colorInput.value = c;
+      showColorLabel();
       // user clicked a recent swatch — make it the current color but DO NOT modify recents again
       await setLastColorOnly(c);
     });
@@ -106,7 +226,7 @@ function renderVibgyor() {
     const d = document.createElement('div');
     d.className = 'swatch';
     d.style.backgroundColor = c;
-    d.title = c;
+    d.title = swatchTitle(c);
     d.style.width = '28px';
     d.style.height = '28px';
     d.style.borderRadius = '4px';
@@ -114,6 +234,7 @@ function renderVibgyor() {
     d.style.cursor = 'pointer';
     d.addEventListener('click', async () => {
       colorInput.value = c;
+      showColorLabel();
       // set lastColor only; do not add to recents until user applies highlight
       await setLastColorOnly(c);
     });
@@ -122,6 +243,214 @@ function renderVibgyor() {
 }
 
 
+// the page's highlights, in document order, each with scroll/recolor/delete;
+// the filter offers the labels and tags in use
+function renderHighlights(highlights) {
+  if (!highlightsSection) return;
+  highlightList.innerHTML = '';
+  highlightsSection.hidden = !highlights || !highlights.length;
+  if (highlightsSection.hidden) return;
+  const options = HighlightTags.filterOptions(highlights, colorLabels);
+  highlightFilter.hidden = !options.length;
+  const filter = HighlightTags.fillFilterSelect(highlightFilter, options);
+  const shown = highlights.filter(h => HighlightTags.matches(h, filter, colorLabels));
+  highlightsTitle.textContent = 'On this page: ' + (shown.length < highlights.length ? shown.length + ' of ' : '')
+    + highlights.length + (highlights.length === 1 ? ' highlight' : ' highlights');
+  shown.forEach(h => {
+    const li = document.createElement('li');
+
+    // the chip is a color input: picking a color recolors the highlight
+    const picker = document.createElement('input');
+    picker.type = 'color';
+    picker.value = isValidHexColor(h.color) && h.color.length === 7 ? h.color : DEFAULT_COLOR;
+    picker.title = 'Change color (' + (STYLE_NAMES[h.style] || STYLE_NAMES[DEFAULT_STYLE]) + ')';
+    picker.addEventListener('change', async () => {
+      const color = picker.value;
+      if (!isValidHexColor(color)) return;
+      const res = await sendMessageToActiveTab({ action: 'recolorHighlight', id: h.id, color });
+      if (res && res.ok) await addToRecents(color);
+      else showFailure(res, 'Recolor failed.');
+      await refreshPageState();
+    });
+
+    const entry = document.createElement('div');
+    entry.className = 'entry';
+    const snippet = document.createElement('div');
+    snippet.className = 'snippet';
+    snippet.textContent = h.text;
+    snippet.title = h.note ? h.text + '\n\n📝 ' + h.note : h.text;
+    entry.appendChild(snippet);
+    const details = [HighlightTags.describe(h, colorLabels), h.createdAt ? new Date(h.createdAt).toLocaleString() : '']
+      .filter(Boolean).join(' · ');
+    if (details) {
+      const date = document.createElement('div');
+      date.className = 'date';
+      date.textContent = details;
+      entry.appendChild(date);
+    }
+
+    const go = document.createElement('button');
+    go.textContent = 'Go';
+    go.title = 'Scroll to this highlight';
+    go.addEventListener('click', async () => {
+      const res = await sendMessageToActiveTab({ action: 'scrollToHighlight', id: h.id });
+      if (!res || !res.ok) showMsg('Highlight not found on the page.');
+    });
+
+    const del = document.createElement('button');
+    del.textContent = 'Delete';
+    del.title = 'Remove this highlight (it goes to the trash)';
+    del.addEventListener('click', async () => {
+      const res = await sendMessageToActiveTab({ action: 'removeHighlight', id: h.id });
+      if (!res || !res.ok) showFailure(res, 'Delete failed.');
+      await refreshPageState();
+    });
+
+    li.append(picker, entry, go, del);
+    highlightList.appendChild(li);
+  });
+}
+
+async function loadHighlights() {
+  const res = await sendMessageToActiveTab({ action: 'listHighlights' });
+  pageHighlights = res && res.ok ? res.highlights : [];
+  renderHighlights(pageHighlights);
+}
+
+// everything in the popup that reflects the page's highlights
+function refreshPageState() {
+  return Promise.all([loadHighlights(), loadHistory(), loadOrphans()]);
+}
+
+// highlights the content script could not place on the page
+function renderOrphans(orphans) {
+  if (!orphansSection) return;
+  orphanList.innerHTML = '';
+  orphansSection.hidden = !orphans || !orphans.length;
+  if (orphansSection.hidden) return;
+  orphansTitle.textContent = '⚠ ' + orphans.length + (orphans.length === 1 ? ' highlight' : ' highlights') + ' could not be placed';
+  orphans.forEach(o => {
+    const li = document.createElement('li');
+    const chip = document.createElement('span');
+    chip.className = 'chip';
+    if (isValidHexColor(o.color)) chip.style.backgroundColor = o.color;
+    const snippet = document.createElement('span');
+    snippet.className = 'snippet';
+    snippet.textContent = o.text;
+    snippet.title = o.note ? o.text + '\n\n📝 ' + o.note : o.text;
+
+    const reattach = document.createElement('button');
+    reattach.textContent = 'Re-attach';
+    reattach.title = 'Attach this highlight to the text selected on the page';
+    reattach.addEventListener('click', async () => {
+      const res = await sendMessageToActiveTab({ action: 'reattachOrphan', id: o.id });
+      if (res && res.ok) showMsg('Highlight re-attached ✓', false);
+      else if (res && res.err === 'no_selection') showMsg('Select the text to attach it to first.');
+      else showFailure(res, 'Re-attach failed.');
+      await refreshPageState();
+    });
+
+    const del = document.createElement('button');
+    del.textContent = 'Delete';
+    del.title = 'Delete this highlight for good';
+    del.addEventListener('click', async () => {
+      const res = await sendMessageToActiveTab({ action: 'deleteOrphan', id: o.id });
+      if (!res || !res.ok) showFailure(res, 'Delete failed.');
+      await refreshPageState();
+    });
+
+    li.append(chip, snippet, reattach, del);
+    orphanList.appendChild(li);
+  });
+}
+
+// undo/redo buttons reflect the page's history (kept by the content script)
+function renderHistory(state) {
+  const undo = state && state.ok ? state.undo : null;
+  const redo = state && state.ok ? state.redo : null;
+  undoBtn.disabled = !undo;
+  redoBtn.disabled = !redo;
+  undoBtn.title = (undo ? 'Undo: ' + undo : 'Nothing to undo') + ' (Alt+Shift+Z)';
+  redoBtn.title = (redo ? 'Redo: ' + redo : 'Nothing to redo') + ' (Alt+Shift+Y)';
+}
+
+async function loadHistory() {
+  renderHistory(await sendMessageToActiveTab({ action: 'historyState' }));
+}
+
+async function loadOrphans() {
+  const res = await sendMessageToActiveTab({ action: 'listOrphans' });
+  renderOrphans(res && res.ok ? res.orphans : []);
+}
+
+// the page's auto-highlight switch, shown when any rule applies to the page
+function renderAutoHighlight(state) {
+  autoSection.hidden = !state || !state.ok || !state.rules.length;
+  autoPageKey = autoSection.hidden ? null : state.key;
+  if (autoSection.hidden) return;
+  autoEnabledBox.checked = !state.off;
+  autoEnabledBox.disabled = !state.supported;
+  if (!state.supported) {
+    autoSummaryEl.textContent = 'This browser cannot draw auto highlights.';
+  } else if (state.off) {
+    autoSummaryEl.textContent = (state.rules.length === 1 ? '1 rule applies' : state.rules.length + ' rules apply') + ' here, switched off.';
+  } else {
+    autoSummaryEl.textContent = state.rules.map(r => (r.name || 'Unnamed rule') + ': ' + r.count).join(' · ');
+  }
+}
+
+async function loadAutoHighlight() {
+  renderAutoHighlight(await sendMessageToActiveTab({ action: 'autoHighlightState' }));
+}
+
+// ---------- sync ----------
+const SYNC_ERRORS = {
+  timeout: 'the server did not answer in time',
+  unreachable: 'the server could not be reached',
+  unauthorized: 'the server refused the access token',
+  bad_response: 'the server sent a reply this version does not understand',
+  storage_full: 'storage is full'
+};
+
+function syncErrorText(code) {
+  if (SYNC_ERRORS[code]) return SYNC_ERRORS[code];
+  const status = /^http_(\d+)$/.exec(code || '');
+  return status ? 'the server answered with HTTP ' + status[1] : 'something went wrong (' + code + ')';
+}
+
+async function showSyncStatus() {
+  const [config, current] = await Promise.all([HighlightSync.settings(), HighlightSync.state()]);
+  syncEnabledBox.checked = config.enabled;
+  if (document.activeElement !== syncUrlInput) syncUrlInput.value = config.serverUrl;
+  if (document.activeElement !== syncTokenInput) syncTokenInput.value = config.token;
+  syncNowBtn.disabled = !config.enabled;
+  syncStatusEl.classList.toggle('error', config.enabled && !!current.lastError);
+  if (!config.enabled) {
+    syncStatusEl.textContent = 'Sync is off.';
+  } else if (current.lastError) {
+    syncStatusEl.textContent = '⚠ Last sync failed: ' + syncErrorText(current.lastError) + '.';
+  } else if (current.lastSyncAt) {
+    syncStatusEl.textContent = 'Last synced ' + new Date(current.lastSyncAt).toLocaleString()
+      + ' (' + current.sent + ' sent, ' + current.received + ' received).';
+  } else {
+    syncStatusEl.textContent = 'Not synced yet.';
+  }
+}
+
+async function saveSyncSettings() {
+  const err = await HighlightSync.saveSettings({
+    enabled: syncEnabledBox.checked,
+    serverUrl: syncUrlInput.value,
+    token: syncTokenInput.value
+  });
+  if (err === 'invalid_url') {
+    syncEnabledBox.checked = false;
+    showMsg('Enter a valid http(s) server URL to turn on sync.');
+    return;
+  }
+  showSyncStatus();
+}
+
 // ---------- active tab helpers ----------
 async function showActiveTabInfo() {
   const tabs = await chrome.tabs.query({ active: true, currentWindow: true });
@@ -132,7 +461,9 @@ async function showActiveTabInfo() {
   const url = tabs[0].url || '';
   try {
     const u = new URL(url);
-    if (originEl) originEl.textContent = u.origin;
+    const frame = /^https?:$/.test(u.protocol) ? await findPageFrame(tabs[0].id) : null;
+    const frameOrigin = frame && frame.frameId !== 0 && frame.url ? new URL(frame.url).origin : null;
+    if (originEl) originEl.textContent = frameOrigin ? u.origin + ' · frame: ' + frameOrigin : u.origin;
     return { tabId: tabs[0].id, origin: u.origin, url: url };
   } catch (e) {
     if (originEl) originEl.textContent = url || 'Unknown';
@@ -140,7 +471,28 @@ async function showActiveTabInfo() {
   }
 }
 
-// send a message to content script on active tab
+// The frame of the tab the popup works on, found once per opening: the one
+// holding a selection (a subframe before the top frame), else the top frame.
+// Resolves to { frameId, url }.
+let pageFrame = null;
+function findPageFrame(tabId) {
+  if (!pageFrame) {
+    pageFrame = chrome.scripting.executeScript({
+      target: { tabId, allFrames: true },
+      func: () => {
+        const sel = window.getSelection();
+        return { selected: !!sel && !sel.isCollapsed, url: location.href };
+      }
+    }).then(results => {
+      const score = r => (r.result.selected ? 2 : 0) + (r.frameId !== 0 ? 1 : 0);
+      const frames = (results || []).filter(r => r && r.result && r.result.selected).sort((a, b) => score(b) - score(a));
+      return frames.length ? { frameId: frames[0].frameId, url: frames[0].result.url } : { frameId: 0, url: null };
+    }).catch(() => ({ frameId: 0, url: null }));
+  }
+  return pageFrame;
+}
+
+// send a message to the content script in the popup's frame of the active tab
 async function sendMessageToActiveTab(message) {
   const tabs = await chrome.tabs.query({ active: true, currentWindow: true });
   if (!tabs || !tabs[0]) return { ok: false, err: 'no_tab' };
@@ -150,8 +502,9 @@ async function sendMessageToActiveTab(message) {
     return { ok: false, err: 'bad_scheme' };
   }
 
+  const { frameId } = await findPageFrame(tab.id);
   return new Promise((resolve) => {
-    chrome.tabs.sendMessage(tab.id, message, (resp) => {
+    chrome.tabs.sendMessage(tab.id, message, { frameId }, (resp) => {
       if (chrome.runtime.lastError) {
         resolve({ ok: false, err: 'no_listener', message: chrome.runtime.lastError.message });
       } else resolve(resp || { ok: false, err: 'no_resp' });
@@ -167,50 +520,218 @@ document.getElementById('highlight').addEventListener('click', async () => {
     return;
   }
 
-  const res = await sendMessageToActiveTab({ action: 'highlight', color });
+  const res = await sendMessageToActiveTab({ action: 'highlight', color, style: styleSelect.value });
   if (!res || !res.ok) {
     // handle known error cases
     if (res && res.err === 'no_selection') showMsg('Please select text on the page first.');
     else if (res && res.err === 'invalid_color') showMsg('Invalid color.');
-    else showMsg('Highlight failed (page may block messages).');
+    else if (res && res.err === 'invalid_style') showMsg('Invalid style.');
+    else showFailure(res, 'Highlight failed (page may block messages).');
     return;
   }
 
   // success: add to recents
   await addToRecents(color);
-  showMsg('Highlighted ✓', false);
+  showMsg(res.removed ? 'Highlight removed ✓' : 'Highlighted ✓', false);
+  refreshPageState();
 });
 
 document.getElementById('clear').addEventListener('click', async () => {
   // confirm intent
-  const confirmed = confirm('Confirm clearing all highlights on this page? This action is irreversible.');
+  const confirmed = confirm('Clear all highlights on this page? You can bring them back with Undo.');
   if (!confirmed) return;
 
   const res = await sendMessageToActiveTab({ action: 'clearAll' });
   if (res && res.ok) {
-    showMsg('All highlights cleared', false);
+    showMsg('All highlights cleared (moved to the trash)', false);
+    refreshPageState();
     // also update UI recents/prefs if desired (we keep recents)
   } else {
-    showMsg('Clear failed. Reload the page.');
+    showFailure(res, 'Clear failed. Reload the page.');
+  }
+});
+
+[undoBtn, redoBtn].forEach(btn => btn.addEventListener('click', async () => {
+  const action = btn === undoBtn ? 'undo' : 'redo';
+  const res = await sendMessageToActiveTab({ action });
+  if (res && res.ok) showMsg((action === 'undo' ? 'Undone: ' : 'Redone: ') + res.label, false);
+  else showFailure(res, 'Nothing to ' + action + '.');
+  refreshPageState();
+}));
+
+document.getElementById('share').addEventListener('click', async () => {
+  const res = await sendMessageToActiveTab({ action: 'shareLink' });
+  if (!res || !res.ok) {
+    if (res && res.err === 'no_highlights') showMsg('No highlights on this page to share.');
+    else if (res && res.err === 'too_long') showMsg('The first highlight is too long to fit in a link.');
+    else showMsg('Could not make a share link (page may block messages).');
+    return;
+  }
+  try {
+    await navigator.clipboard.writeText(res.url);
+  } catch (e) {
+    showMsg('Could not copy the link to the clipboard.');
+    return;
+  }
+  showMsg(res.count < res.total
+    ? 'Share link copied with the first ' + res.count + ' of ' + res.total + ' highlights (links are limited in length)'
+    : 'Share link copied ✓', false);
+});
+
+document.getElementById('library').addEventListener('click', () => {
+  chrome.runtime.openOptionsPage();
+  window.close();
+});
+
+document.getElementById('export').addEventListener('click', async () => {
+  const info = await showActiveTabInfo();
+  // the content script knows the page's canonical link; the URL rules alone
+  // give the same key unless the site follows it
+  const res = await sendMessageToActiveTab({ action: 'pageKey' });
+  const key = res && res.ok ? res.key : info ? HighlightIO.keyForUrl(info.url, (await loadPrefs()).keyRules) : null;
+  if (!key) {
+    showMsg('Export works on regular web pages only.');
+    return;
+  }
+  const records = await HighlightStore.readPage(key);
+  const pages = HighlightIO.collectPages({ [key]: records }, { type: 'page', key });
+  if (!pages.length) {
+    showMsg('No highlights saved for this page.');
+    return;
   }
+  const format = document.getElementById('export-format').value;
+  const name = 'highlights-' + new URL(info.url).hostname + '-' + new Date().toISOString().slice(0, 10);
+  HighlightIO.download(name, HighlightIO.exportPages(pages, format), format);
+});
+
+rendererSelect.addEventListener('change', async () => {
+  const info = await showActiveTabInfo();
+  if (!info || !info.origin || !/^https?:/.test(info.origin)) return;
+  await setSiteRenderer(info.origin, rendererSelect.value);
+  showMsg('Drawing mode saved for ' + info.origin, false);
+});
+
+[keyParamsInput, keyCanonicalBox].forEach(el => el.addEventListener('change', async () => {
+  const info = await showActiveTabInfo();
+  if (!info || !info.origin || !/^https?:/.test(info.origin)) return;
+  const res = await setSiteKeyRule(info.origin, {
+    params: HighlightKeys.parseParams(keyParamsInput.value),
+    canonical: keyCanonicalBox.checked
+  });
+  showKeyRule(await loadPrefs(), info.origin);
+  if (!res.ok) return showFailure(res, 'Could not save the URL rule for ' + info.origin + '.');
+  const moved = res.moved;
+  showMsg('URL rule saved for ' + info.origin + (moved ? ' (' + moved + ' stored page' + (moved === 1 ? '' : 's') + ' moved)' : ''), false);
+  setTimeout(refreshPageState, 300);
+}));
+
+autoEnabledBox.addEventListener('change', async () => {
+  if (!autoPageKey) return;
+  await setAutoHighlightOff(autoPageKey, !autoEnabledBox.checked);
+  setTimeout(loadAutoHighlight, 300);
+});
+
+document.getElementById('auto-rules').addEventListener('click', () => {
+  chrome.tabs.create({ url: chrome.runtime.getURL('rules.html') });
+  window.close();
 });
 
 // when user changes color in picker, persist it as lastColor only (do NOT add to recents)
 colorInput.addEventListener('input', async () => {
   const c = colorInput.value;
+  showColorLabel();
   if (isValidHexColor(c)) await setLastColorOnly(c);
 });
 
+styleSelect.addEventListener('change', () => setLastStyle(styleSelect.value));
+
+highlightFilter.addEventListener('change', () => renderHighlights(pageHighlights));
+
+labelInput.addEventListener('change', async () => {
+  await saveColorLabel(colorInput.value, labelInput.value);
+  showColorLabel();
+  const prefs = await loadPrefs();
+  renderRecents(prefs.recents || []);
+  renderVibgyor();
+  renderHighlights(pageHighlights);
+});
+
+[syncEnabledBox, syncUrlInput, syncTokenInput].forEach(el => el.addEventListener('change', saveSyncSettings));
+
+syncNowBtn.addEventListener('click', () => {
+  syncNowBtn.disabled = true;
+  syncStatusEl.classList.remove('error');
+  syncStatusEl.textContent = 'Syncing…';
+  chrome.runtime.sendMessage({ action: 'syncNow' }, () => {
+    void chrome.runtime.lastError;
+    showSyncStatus();
+  });
+});
+
+// the service worker syncs in the background; keep the status line current
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === 'local' && (changes[HighlightSync.STATE_KEY] || changes[HighlightSync.SETTINGS_KEY])) showSyncStatus();
+});
+
+// the footer lists the shortcuts as bound right now, which the user may
+// have changed in chrome://extensions/shortcuts
+const SHORTCUT_NAMES = {
+  '_execute_action': 'open this popup',
+  'highlight-selection': 'highlight',
+  'undo-highlight': 'undo',
+  'redo-highlight': 'redo',
+  'next-highlight': 'next highlight',
+  'previous-highlight': 'previous highlight',
+  'toggle-pen-mode': 'pen mode',
+  'cycle-color': 'next color',
+  'remove-highlight': 'remove highlight'
+};
+
+function showShortcuts() {
+  const el = document.getElementById('shortcuts');
+  chrome.commands.getAll((commands) => {
+    const bound = (commands || []).filter(c => c.shortcut);
+    el.textContent = '';
+    if (!bound.length) {
+      el.textContent = 'No shortcuts are set.';
+      return;
+    }
+    el.appendChild(document.createTextNode('Shortcuts: '));
+    bound.forEach((c, i) => {
+      if (i) el.appendChild(document.createTextNode(' · '));
+      const key = document.createElement('b');
+      key.textContent = c.shortcut;
+      const palette = /^highlight-color-(\d+)$/.exec(c.name);
+      const name = palette ? 'color ' + palette[1] : SHORTCUT_NAMES[c.name] || c.description;
+      el.append(key, document.createTextNode(' ' + name));
+    });
+    el.appendChild(document.createTextNode('.'));
+  });
+}
+
 // ---------- init ----------
 (async function init() {
   // show origin
-  showActiveTabInfo();
+  const info = await showActiveTabInfo();
 
   // load prefs and set UI
   const prefs = await loadPrefs();
   if (colorInput) colorInput.value = prefs.lastColor || DEFAULT_COLOR;
+  styleSelect.value = prefs.lastStyle;
+  colorLabels = HighlightTags.labels(prefs);
+  showColorLabel();
+  const siteOrigin = info && info.origin && /^https?:/.test(info.origin) ? info.origin : null;
+  rendererSelect.disabled = !siteOrigin;
+  rendererSelect.value = siteOrigin && prefs.renderers && prefs.renderers[siteOrigin] === 'highlight-api' ? 'highlight-api' : 'spans';
+  keyParamsInput.disabled = keyCanonicalBox.disabled = !siteOrigin;
+  if (siteOrigin) showKeyRule(prefs, siteOrigin);
   renderRecents(prefs.recents || []);
   renderVibgyor();
+  refreshPageState();
+  loadAutoHighlight();
+  showStorageUsage();
+  showSyncStatus();
+  showShortcuts();
 
   // small UX: when popup opens, also request latest tab origin again (some pages load slowly)
   setTimeout(showActiveTabInfo, 250);
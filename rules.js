@@ -0,0 +1,240 @@
+// rules.js - Edits the auto-highlight rules (see highlight-rules.js): a
+// keyword list or regular expression, a color and the pages it applies to.
+// Every change is saved straight away; a rule with a problem (no keywords,
+// a regular expression that does not compile, a bad URL pattern) says so
+// and is kept out of storage until fixed. Text is rendered with textContent
+// only.
+
+const PREF_KEY = 'highlighter_prefs_v1';
+const DEFAULT_COLOR = '#ffd600';
+
+const rulesContainer = document.getElementById('rules');
+const addBtn = document.getElementById('add');
+const msgEl = document.getElementById('msg');
+
+// the rules as shown, including ones not saved yet because of a problem
+let rules = [];
+// what this page last wrote, so its own saves do not re-render the list
+let savedJson = null;
+
+// ---------- utilities ----------
+function showMsg(text, isError = true) {
+  if (!msgEl) return;
+  msgEl.textContent = text || '';
+  msgEl.style.color = isError ? 'red' : 'green';
+  if (text) setTimeout(() => { msgEl.textContent = ''; }, 5000);
+}
+
+function isValidHexColor(c) {
+  return /^#([0-9A-Fa-f]{3}|[0-9A-Fa-f]{6})$/.test(c);
+}
+
+function storageGet(key) {
+  return new Promise((resolve) => {
+    chrome.storage.local.get(key, (obj) => resolve(obj[key]));
+  });
+}
+function storageSet(obj) {
+  return new Promise((resolve) => {
+    chrome.storage.local.set(obj, () => resolve());
+  });
+}
+
+// what keeps a rule from being saved, or '' when nothing does
+function ruleProblem(rule) {
+  if (!isValidHexColor(rule.color)) return 'Pick a color.';
+  if (!HighlightRules.isValidPattern(rule.match)) {
+    return 'Pages should be a URL pattern such as https://*.example.com/* (or *://*/* for every site).';
+  }
+  if (rule.type === 'keywords') {
+    return HighlightRules.parseKeywords(rule.keywords).length ? '' : 'Add at least one keyword.';
+  }
+  if (!rule.pattern) return 'Enter a regular expression.';
+  if (rule.pattern.length > HighlightRules.MAX_PATTERN_LENGTH) return 'The regular expression is too long.';
+  try {
+    new RegExp(rule.pattern, 'g');
+  } catch (e) {
+    return 'The regular expression is not valid: ' + e.message;
+  }
+  if (HighlightRules.hasNestedQuantifier(rule.pattern)) {
+    return 'The regular expression repeats a group that itself repeats, such as (a+)+, which can freeze pages. Drop the inner or the outer repeat.';
+  }
+  return '';
+}
+
+// ---------- storage ----------
+async function loadRules() {
+  const prefs = (await storageGet(PREF_KEY)) || {};
+  return HighlightRules.rules(prefs);
+}
+
+async function saveRules() {
+  const valid = rules.filter(rule => !ruleProblem(rule)).map(HighlightRules.sanitizeRule).filter(Boolean);
+  const prefs = (await storageGet(PREF_KEY)) || {};
+  prefs.autoRules = valid;
+  savedJson = JSON.stringify(valid);
+  await storageSet({ [PREF_KEY]: prefs });
+}
+
+// ---------- UI renderers ----------
+function field(labelText, input) {
+  const label = document.createElement('label');
+  label.textContent = labelText;
+  label.appendChild(input);
+  return label;
+}
+
+function renderRule(rule) {
+  const section = document.createElement('section');
+  section.className = 'rule' + (rule.enabled ? '' : ' off');
+
+  const enabled = document.createElement('input');
+  enabled.type = 'checkbox';
+  enabled.checked = rule.enabled;
+  enabled.title = 'Use this rule';
+  const name = document.createElement('input');
+  name.type = 'text';
+  name.maxLength = HighlightRules.MAX_NAME_LENGTH;
+  name.placeholder = 'Rule name, e.g. Ticket IDs';
+  name.value = rule.name;
+  const color = document.createElement('input');
+  color.type = 'color';
+  color.value = rule.color;
+  color.title = 'Highlight color';
+  const del = document.createElement('button');
+  del.className = 'danger';
+  del.textContent = 'Delete';
+  del.title = 'Delete this rule';
+  const top = document.createElement('div');
+  top.className = 'rule-row';
+  top.append(enabled, name, color, del);
+
+  const type = document.createElement('select');
+  [['keywords', 'Keywords'], ['regex', 'Regular expression']].forEach(([value, text]) => {
+    const opt = document.createElement('option');
+    opt.value = value;
+    opt.textContent = text;
+    type.appendChild(opt);
+  });
+  type.value = rule.type;
+  const caseSensitive = document.createElement('input');
+  caseSensitive.type = 'checkbox';
+  caseSensitive.checked = rule.caseSensitive;
+  const caseLabel = document.createElement('label');
+  caseLabel.append(caseSensitive, document.createTextNode('Match case'));
+  const how = document.createElement('div');
+  how.className = 'rule-row';
+  how.append(field('Find ', type), caseLabel);
+
+  const keywords = document.createElement('textarea');
+  keywords.placeholder = 'One keyword or phrase per line (or comma-separated); whole words only';
+  keywords.value = Array.isArray(rule.keywords) ? rule.keywords.join('\n') : rule.keywords || '';
+  const pattern = document.createElement('input');
+  pattern.type = 'text';
+  pattern.className = 'pattern';
+  pattern.placeholder = 'e.g. \\b[A-Z]{2,10}-\\d+\\b';
+  pattern.value = rule.pattern;
+  const what = document.createElement('div');
+  what.className = 'rule-row';
+  what.append(keywords, pattern);
+
+  const match = document.createElement('input');
+  match.type = 'text';
+  match.className = 'pattern';
+  match.placeholder = HighlightRules.DEFAULT_MATCH;
+  match.value = rule.match;
+  match.title = 'A URL match pattern: *://*/* for every site, https://*.example.com/* for one site and its subdomains';
+  const where = document.createElement('div');
+  where.className = 'rule-row';
+  where.appendChild(field('On pages ', match));
+
+  const error = document.createElement('div');
+  error.className = 'error';
+
+  function showType() {
+    keywords.hidden = type.value !== 'keywords';
+    pattern.hidden = type.value !== 'regex';
+  }
+
+  function update() {
+    Object.assign(rule, {
+      enabled: enabled.checked,
+      name: name.value.trim(),
+      color: color.value,
+      type: type.value,
+      keywords: keywords.value,
+      pattern: pattern.value,
+      caseSensitive: caseSensitive.checked,
+      match: match.value.trim() || HighlightRules.DEFAULT_MATCH
+    });
+    section.className = 'rule' + (rule.enabled ? '' : ' off');
+    showType();
+    const problem = ruleProblem(rule);
+    error.textContent = problem ? 'Not saved: ' + problem : '';
+    saveRules();
+  }
+
+  [enabled, name, color, type, keywords, pattern, caseSensitive, match].forEach(el => el.addEventListener('change', update));
+  del.addEventListener('click', () => {
+    rules = rules.filter(r => r !== rule);
+    saveRules();
+    render();
+  });
+
+  showType();
+  const problem = ruleProblem(rule);
+  error.textContent = problem ? 'Not saved: ' + problem : '';
+  section.append(top, how, what, where, error);
+  return section;
+}
+
+function render() {
+  rulesContainer.innerHTML = '';
+  addBtn.disabled = rules.length >= HighlightRules.MAX_RULES;
+  if (!rules.length) {
+    const empty = document.createElement('div');
+    empty.className = 'empty';
+    empty.textContent = 'No rules yet. Add one to highlight words or patterns automatically.';
+    rulesContainer.appendChild(empty);
+  }
+  rules.forEach(rule => rulesContainer.appendChild(renderRule(rule)));
+}
+
+async function refresh() {
+  rules = await loadRules();
+  savedJson = JSON.stringify(rules);
+  render();
+}
+
+// ---------- event handlers ----------
+addBtn.addEventListener('click', () => {
+  if (rules.length >= HighlightRules.MAX_RULES) {
+    showMsg('There can be at most ' + HighlightRules.MAX_RULES + ' rules.');
+    return;
+  }
+  rules.push({
+    id: 'r_' + Math.random().toString(36).slice(2, 9),
+    name: '',
+    enabled: true,
+    match: HighlightRules.DEFAULT_MATCH,
+    type: 'keywords',
+    keywords: '',
+    pattern: '',
+    caseSensitive: false,
+    color: DEFAULT_COLOR
+  });
+  render();
+  const cards = rulesContainer.querySelectorAll('.rule');
+  const last = cards[cards.length - 1];
+  if (last) last.querySelector('input[type="text"]').focus();
+});
+
+// rules edited in another tab (or pulled by sync) replace the list
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area !== 'local' || !changes[PREF_KEY]) return;
+  const stored = JSON.stringify(HighlightRules.rules(changes[PREF_KEY].newValue));
+  if (stored !== savedJson) refresh();
+});
+
+// ---------- init ----------
+refresh();
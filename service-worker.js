@@ -2,17 +2,45 @@
 // Robust handling for the "highlight-selection" command.
 // 1) Try messaging the content script (preferred — it handles persistence).
 // 2) If messaging fails, fallback to executeScript flow that:
-//    - extracts the quote (text + prefix/suffix),
-//    - inserts a safe text-only span with the selected color,
+//    - extracts the quote (text + prefix/suffix, text position, DOM path hint),
+//    - wraps the selected text nodes in safe text-only spans with the selected color,
 //    - persists the highlight record to chrome.storage.local,
 //    - updates recents (only when highlight applied).
 //
+// The content script runs in every frame, so messages go to one frame: the
+// one holding the selection (see targetFrame) or, for the right-click menus,
+// the one that was clicked.
+//
+// It also owns the right-click menus: "Highlight with…" on a selection, and
+// "Change color" / "Add note" / "Copy text" / "Remove this highlight" on an
+// existing highlight. Menu actions go through the same content-script
+// messages as the popup.
+//
+// The commands also cover palette colors 1-10, cycling the current color,
+// removing the highlight under the selection and pen mode (see "commands").
+//
+// A daily alarm purges trash items past their retention period (highlight-trash.js).
+// The toolbar badge warns when storage is nearly full (see "storage quota").
+// Opt-in sync with a server runs from here too (see "sync"), and so does the
+// API for allowlisted extensions and pages (highlight-api.js, "external API").
+//
 // This preserves safety: we never insert raw HTML, color is validated, and
 // stored records are plain-text quotes + metadata.
 
+importScripts('highlight-store.js', 'highlight-trash.js', 'highlight-tags.js', 'highlight-keys.js', 'highlight-io.js',
+  'highlight-sync.js', 'highlight-rules.js', 'highlight-api.js');
+
 const PREF_KEY = 'highlighter_prefs_v1';
 const HIGHLIGHT_PREFIX = 'highlights::';
 const MAX_RECENTS = 5;
+const QUOTE_CONTEXT_CHARS = 32;
+const PURGE_ALARM = 'purge-trash';
+const HIGHLIGHT_STYLES = ['background', 'underline', 'wavy', 'outline', 'text'];
+// same swatches as the popup's quick palette
+const PALETTE = [
+  ['#ff1744', 'Red'], ['#ffb8ec', 'Pink'], ['#ff9100', 'Orange'], ['#ffd600', 'Yellow'], ['#a7e8c8', 'Mint'],
+  ['#76ff03', 'Green'], ['#00e5ff', 'Cyan'], ['#2979ff', 'Blue'], ['#d500f9', 'Purple'], ['#757372', 'Grey']
+];
 
 function isValidHexColor(c) {
   return /^#([0-9A-Fa-f]{3}|[0-9A-Fa-f]{6})$/.test(c);
@@ -30,47 +58,102 @@ function setLocal(obj) {
   return new Promise(resolve => chrome.storage.local.set(obj, () => resolve()));
 }
 
-// compute storage key for a tab URL
-function storageKeyForUrl(url) {
-  try {
-    const u = new URL(url);
-    return HIGHLIGHT_PREFIX + u.origin + '::' + u.pathname;
-  } catch (e) {
-    return HIGHLIGHT_PREFIX + 'unknown';
-  }
+// compute storage key for a tab URL under the site's URL rules
+async function storageKeyForUrl(url, canonicalHref) {
+  const prefs = (await getLocal(PREF_KEY)) || {};
+  return HighlightKeys.keyForUrl(url, prefs.keyRules, canonicalHref) || HIGHLIGHT_PREFIX + 'unknown';
 }
 
-// fallback: extract quote from page (selection -> {text,prefix,suffix})
-async function extractQuoteFromPage(tabId) {
+// fallback: extract quote from page (selection -> {text,prefix,suffix,start,end,path,pathOffset},
+// plus the frame's URL and canonical link for the storage key)
+// The selectors are computed like buildTextIndex/describeOffsets in
+// content-script.js, which is only the same walk when the frame has no open
+// shadow roots: the content script reads those in place of their hosts. In a
+// frame that has any, this returns null rather than store selectors the
+// content script would resolve to other text.
+async function extractQuoteFromPage(tabId, frameId) {
   const results = await chrome.scripting.executeScript({
-    target: { tabId },
-    func: () => {
+    target: { tabId, frameIds: [frameId] },
+    func: (contextChars) => {
       // create a small quote object from the current selection
       try {
         const sel = window.getSelection();
         if (!sel || sel.isCollapsed) return null;
-        const text = sel.toString();
-        if (!text) return null;
-
         const range = sel.getRangeAt(0);
+        if (Array.prototype.some.call(document.body.querySelectorAll('*'), el => el.shadowRoot)) return null;
 
-        // prefix: last 60 chars before range start
-        const beforeRange = range.cloneRange();
-        beforeRange.collapse(true);
-        beforeRange.setStart(document.body, 0);
-        const prefixText = beforeRange.toString().slice(-60);
+        // flattened page text, skipping script/style like the content script
+        const skipped = ['SCRIPT', 'STYLE', 'NOSCRIPT'];
+        const walker = document.createTreeWalker(document.body, NodeFilter.SHOW_TEXT, {
+          acceptNode(node) {
+            const parent = node.parentElement;
+            if (!node.nodeValue || !parent || skipped.indexOf(parent.tagName) !== -1) return NodeFilter.FILTER_REJECT;
+            return NodeFilter.FILTER_ACCEPT;
+          }
+        });
+        const nodes = [];
+        let node;
+        let total = 0;
+        while (node = walker.nextNode()) {
+          nodes.push({ node, start: total, end: total + node.nodeValue.length });
+          total += node.nodeValue.length;
+        }
+        const all = nodes.map(n => n.node.nodeValue).join('');
+
+        const offsetOf = (container, offset) => {
+          const entry = nodes.find(n => n.node === container);
+          if (entry) return entry.start + offset;
+          const point = document.createRange();
+          point.setStart(container, offset);
+          let count = 0;
+          for (const n of nodes) {
+            if (point.comparePoint(n.node, 0) >= 0) break;
+            count = n.end;
+          }
+          return count;
+        };
+        const start = offsetOf(range.startContainer, range.startOffset);
+        const end = offsetOf(range.endContainer, range.endOffset);
+        const text = all.slice(start, end);
+        if (!text) return null;
 
-        // suffix: first 60 chars after range end
-        const afterRange = range.cloneRange();
-        afterRange.collapse(false);
-        afterRange.setEnd(document.body, document.body.childNodes.length);
-        const suffixText = afterRange.toString().slice(0, 60);
+        const canonical = document.querySelector('link[rel~="canonical"][href]');
+        const quote = {
+          text,
+          prefix: all.slice(Math.max(0, start - contextChars), start),
+          suffix: all.slice(end, end + contextChars),
+          start,
+          end,
+          url: location.href,
+          canonical: canonical ? canonical.href : null
+        };
 
-        return { text, prefix: prefixText, suffix: suffixText };
+        // DOM path hint: "div[2]/p[3]" from body to the element holding the start
+        const startEntry = nodes.find(n => n.start <= start && n.end > start);
+        let el = startEntry ? startEntry.node.parentElement : null;
+        if (el) {
+          const host = el;
+          const parts = [];
+          while (el && el !== document.body && el.parentElement) {
+            let nth = 1;
+            for (let s = el.previousElementSibling; s; s = s.previousElementSibling) {
+              if (s.tagName === el.tagName) nth++;
+            }
+            parts.unshift(el.tagName.toLowerCase() + '[' + nth + ']');
+            el = el.parentElement;
+          }
+          const first = nodes.find(n => host.contains(n.node));
+          if (el === document.body && first) {
+            quote.path = parts.join('/');
+            quote.pathOffset = start - first.start;
+          }
+        }
+        return quote;
       } catch (e) {
         return null;
       }
-    }
+    },
+    args: [QUOTE_CONTEXT_CHARS]
   });
 
   if (!results || !results[0] || !results[0].result) return null;
@@ -78,9 +161,9 @@ async function extractQuoteFromPage(tabId) {
 }
 
 // fallback: insert a safe span with color and return success
-async function insertSpanOnPage(tabId, color) {
+async function insertSpanOnPage(tabId, frameId, color) {
   const results = await chrome.scripting.executeScript({
-    target: { tabId },
+    target: { tabId, frameIds: [frameId] },
     func: (highlightColor) => {
       // validate color inside page too (defense in depth)
       const isHex = /^#([0-9A-Fa-f]{3}|[0-9A-Fa-f]{6})$/;
@@ -92,19 +175,45 @@ async function insertSpanOnPage(tabId, color) {
         const text = sel.toString();
         if (!text) return { ok: false, err: 'empty_text' };
 
-        // insert a text-only span to avoid injecting HTML/script
-        const span = document.createElement('span');
-        span.className = '__simple_ext_highlight_safe';
-        span.setAttribute('data-ext-origin', location.origin || '');
-        span.style.backgroundColor = highlightColor;
-        span.style.borderRadius = '2px';
-        span.style.whiteSpace = 'pre-wrap';
-        span.style.cursor = 'text';
-        span.textContent = text;
-
+        // wrap each selected text node in its own text-only span, leaving the
+        // page's elements in place (no HTML/script is ever inserted)
         const range = sel.getRangeAt(0).cloneRange();
-        range.deleteContents();
-        range.insertNode(span);
+        let sc = range.startContainer, so = range.startOffset;
+        let ec = range.endContainer, eo = range.endOffset;
+        if (ec.nodeType === Node.TEXT_NODE && eo > 0 && eo < ec.nodeValue.length) ec.splitText(eo);
+        if (sc.nodeType === Node.TEXT_NODE && so > 0 && so < sc.nodeValue.length) {
+          const tail = sc.splitText(so);
+          if (ec === sc) { ec = tail; eo -= so; }
+          sc = tail; so = 0;
+        }
+        range.setStart(sc, so);
+        range.setEnd(ec, eo);
+
+        const nodes = [];
+        const root = range.commonAncestorContainer;
+        if (root.nodeType === Node.TEXT_NODE) nodes.push(root);
+        else {
+          const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+          let node;
+          while (node = walker.nextNode()) {
+            const parent = node.parentElement;
+            if (!parent || !/\S/.test(node.nodeValue) || ['SCRIPT', 'STYLE', 'NOSCRIPT'].indexOf(parent.tagName) !== -1) continue;
+            if (node === sc && so >= node.nodeValue.length) continue;
+            if (node === ec && eo === 0) continue;
+            if (range.intersectsNode(node)) nodes.push(node);
+          }
+        }
+
+        nodes.forEach(node => {
+          const span = document.createElement('span');
+          span.className = '__simple_ext_highlight_safe';
+          span.setAttribute('data-ext-origin', location.origin || '');
+          span.style.backgroundColor = highlightColor;
+          span.style.borderRadius = '2px';
+          span.style.cursor = 'text';
+          node.parentNode.insertBefore(span, node);
+          span.appendChild(node);
+        });
         sel.removeAllRanges();
 
         return { ok: true };
@@ -120,12 +229,9 @@ async function insertSpanOnPage(tabId, color) {
 }
 
 // persist a highlight record to storage under the page key
-async function persistHighlightForUrl(url, rec) {
-  const key = storageKeyForUrl(url);
-  const existing = await getLocal(key) || [];
-  const arr = Array.isArray(existing) ? existing : [];
-  arr.push(rec);
-  await setLocal({ [key]: arr });
+async function persistHighlightForUrl(url, rec, canonicalHref) {
+  const key = await storageKeyForUrl(url, canonicalHref);
+  await HighlightStore.putRecords(key, [rec]);
 }
 
 // update recents (add color at front, dedupe, limit)
@@ -139,80 +245,412 @@ async function addColorToRecents(color) {
   await setLocal({ [PREF_KEY]: prefs });
 }
 
+// the style last picked in the popup, used for every new highlight
+async function lastStyle() {
+  const prefs = (await getLocal(PREF_KEY)) || {};
+  return HIGHLIGHT_STYLES.indexOf(prefs.lastStyle) !== -1 ? prefs.lastStyle : 'background';
+}
+
+// send a message to the content script in one frame of a tab (the top frame
+// by default); resolves null when there is none
+function sendToTab(tabId, message, frameId = 0) {
+  return new Promise((resolve) => {
+    chrome.tabs.sendMessage(tabId, message, { frameId }, (resp) => {
+      if (chrome.runtime.lastError) resolve(null);
+      else resolve(resp || null);
+    });
+  });
+}
+
+// The frame of a tab that a command acts on: the one holding a selection,
+// else the focused one, else the top frame. A frame that was left with a
+// selection keeps it when another gets focus, so frames that have both count
+// first. document.hasFocus() is also true in the frames around the focused
+// one, so among equals a subframe wins.
+async function targetFrame(tabId) {
+  let results;
+  try {
+    results = await chrome.scripting.executeScript({
+      target: { tabId, allFrames: true },
+      func: () => {
+        const sel = window.getSelection();
+        return { selected: !!sel && !sel.isCollapsed, focused: document.hasFocus() };
+      }
+    });
+  } catch (e) {
+    return 0;
+  }
+  const score = r => (r.result.selected ? 4 : 0) + (r.result.focused ? 2 : 0) + (r.frameId !== 0 ? 1 : 0);
+  const frames = (results || []).filter(r => r && r.result).sort((a, b) => score(b) - score(a));
+  return frames.length ? frames[0].frameId : 0;
+}
+
+function isWebPage(tab) {
+  return !!(tab && tab.url && (tab.url.startsWith('http://') || tab.url.startsWith('https://')));
+}
+
+// Highlight the tab's selection in color, in the last picked style. force
+// skips the smart toggle's "remove when fully highlighted" branch (used by
+// "Highlight with…"). frameId is the frame holding the selection, when known.
+async function highlightSelectionInTab(tab, color, force, frameId) {
+  // 1) Preferred path: message the content script (so it performs the highlight + persistence)
+  const style = await lastStyle();
+  if (frameId === undefined) frameId = await targetFrame(tab.id);
+  const resp = await sendToTab(tab.id, { action: 'highlight', color, style, force: !!force }, frameId);
+  if (resp && resp.ok) {
+    // content script handled it and already persisted; update recents
+    try { await addColorToRecents(color); } catch (e) { /* best-effort */ }
+    return;
+  }
+  if (resp) {
+    // the content script answered and may have drawn or removed the highlight
+    // before its save failed, so a fallback span would duplicate it; a full
+    // storage shows on the badge
+    updateStorageBadge();
+    return;
+  }
+
+  // 2) Fallback when no content script answered: use scripting.executeScript
+  // to extract quote, insert span, and persist ourselves
+  // (the span is always a plain background; the record says so)
+  // extract quote first
+  const quote = await extractQuoteFromPage(tab.id, frameId);
+  if (!quote || !quote.text) {
+    // nothing selected or extraction failed; nothing to do
+    return;
+  }
+
+  // insert the span
+  const ins = await insertSpanOnPage(tab.id, frameId, color);
+  if (!ins || !ins.ok) {
+    // couldn't insert (maybe selection changed); abort
+    return;
+  }
+
+  // persist the highlight record locally (id, anchoring selectors, color, createdAt, updatedAt)
+  const rec = {
+    id: genId(),
+    text: quote.text,
+    prefix: quote.prefix || '',
+    suffix: quote.suffix || '',
+    start: quote.start,
+    end: quote.end,
+    color,
+    style: 'background',
+    pageTitle: tab.title || '',
+    createdAt: Date.now(),
+    updatedAt: Date.now()
+  };
+  if (typeof quote.path === 'string') {
+    rec.path = quote.path;
+    rec.pathOffset = quote.pathOffset;
+  }
+
+  try {
+    await persistHighlightForUrl(quote.url || tab.url, rec, quote.canonical);
+  } catch (e) {
+    // persist failed — best-effort; do not interrupt user (a full storage
+    // shows on the badge)
+    console.warn('persistHighlightForUrl failed', e);
+    updateStorageBadge();
+  }
+
+  // update recents
+  try {
+    await addColorToRecents(color);
+  } catch (e) {
+    // ignore
+  }
+}
+
+// ---------- commands ----------
+// "highlight-color-<n>" highlights with the nth quick palette color (and
+// makes it the current color, like any highlight does); "cycle-color" moves
+// the current color to the next palette color. Pen mode is kept by the
+// content scripts: the top frame says whether it is on, and every frame of
+// the tab is told when it changes.
+
+const COLOR_COMMAND_PREFIX = 'highlight-color-';
+
+// commands carried out entirely by the content script
+const TAB_COMMANDS = {
+  'undo-highlight': { action: 'undo' },
+  'redo-highlight': { action: 'redo' },
+  'next-highlight': { action: 'jumpHighlight', direction: 'next' },
+  'previous-highlight': { action: 'jumpHighlight', direction: 'previous' },
+  'remove-highlight': { action: 'removeAtSelection' }
+};
+
+// a message for the content scripts in every frame of a tab
+function sendToAllFrames(tabId, message) {
+  return new Promise((resolve) => {
+    chrome.tabs.sendMessage(tabId, message, () => resolve(void chrome.runtime.lastError));
+  });
+}
+
+function paletteColor(command) {
+  if (!command.startsWith(COLOR_COMMAND_PREFIX)) return null;
+  const entry = PALETTE[parseInt(command.slice(COLOR_COMMAND_PREFIX.length), 10) - 1];
+  return entry ? entry[0] : null;
+}
+
+// the color's palette name (or hex) and its label, if it has one
+function colorName(color, prefs) {
+  const entry = PALETTE.find(([c]) => c === color.toLowerCase());
+  const label = HighlightTags.labelFor(HighlightTags.labels(prefs), color);
+  return (entry ? entry[1] : color) + (label ? ' — ' + label : '');
+}
+
+// makes the next palette color current (the first one after a custom
+// color) and shows it on the page
+async function cycleColor(tab) {
+  const prefs = (await getLocal(PREF_KEY)) || {};
+  const current = typeof prefs.lastColor === 'string' ? prefs.lastColor.toLowerCase() : '';
+  const color = PALETTE[(PALETTE.findIndex(([c]) => c === current) + 1) % PALETTE.length][0];
+  prefs.lastColor = color;
+  await setLocal({ [PREF_KEY]: prefs });
+  await sendToTab(tab.id, { action: 'showNotice', text: 'Color: ' + colorName(color, prefs), color });
+}
+
+async function togglePenMode(tab) {
+  const state = await sendToTab(tab.id, { action: 'penMode' });
+  if (!state || !state.ok) return;
+  await sendToAllFrames(tab.id, { action: 'setPenMode', on: !state.on });
+}
+
 // main handler
 chrome.commands.onCommand.addListener(async (command) => {
-  if (command !== 'highlight-selection') return;
+  const tabCommand = TAB_COMMANDS[command];
+  const paletteCommand = paletteColor(command);
+  const own = command === 'highlight-selection' || command === 'cycle-color' || command === 'toggle-pen-mode';
+  if (!own && !tabCommand && !paletteCommand) return;
 
   try {
     const tabs = await chrome.tabs.query({ active: true, currentWindow: true });
     if (!tabs || !tabs[0]) return;
     const tab = tabs[0];
-    if (!tab.url || (!tab.url.startsWith('http://') && !tab.url.startsWith('https://'))) return;
+    if (!isWebPage(tab)) return;
+
+    if (tabCommand) {
+      await sendToTab(tab.id, tabCommand, await targetFrame(tab.id));
+      return;
+    }
+    if (paletteCommand) {
+      await highlightSelectionInTab(tab, paletteCommand, false);
+      return;
+    }
+    if (command === 'cycle-color') {
+      await cycleColor(tab);
+      return;
+    }
+    if (command === 'toggle-pen-mode') {
+      await togglePenMode(tab);
+      return;
+    }
 
     // read prefs (prefer local)
     const prefs = (await getLocal(PREF_KEY)) || { lastColor: '#fff176', recents: [] };
     const color = (prefs && typeof prefs.lastColor === 'string' && isValidHexColor(prefs.lastColor)) ? prefs.lastColor : '#fff176';
 
-    // 1) Preferred path: message the content script (so it performs the highlight + persistence)
-    let usedPreferred = false;
-    await new Promise((resolve) => {
-      chrome.tabs.sendMessage(tab.id, { action: 'highlight', color }, async (resp) => {
-        if (chrome.runtime.lastError) {
-          // no listener or error — fallback below
-          resolve();
-          return;
-        }
-        // if content script handled it successfully, update recents (content script already persisted highlights)
-        if (resp && resp.ok) {
-          try { await addColorToRecents(color); } catch (e) { /* best-effort */ }
-          usedPreferred = true;
-        }
-        resolve();
-      });
-    });
+    await highlightSelectionInTab(tab, color, false);
+  } catch (e) {
+    console.error('service-worker onCommand error', e);
+  }
+});
 
-    if (usedPreferred) return; // success via content script
+// the pen mode indicator's off button switches the tab's other frames off too
+chrome.runtime.onMessage.addListener((msg, sender) => {
+  if (!msg || msg.action !== 'setPenMode' || !sender.tab) return;
+  sendToAllFrames(sender.tab.id, { action: 'setPenMode', on: msg.on === true });
+});
 
-    // 2) Fallback: use scripting.executeScript to extract quote, insert span, and persist ourselves
-    // extract quote first
-    const quote = await extractQuoteFromPage(tab.id);
-    if (!quote || !quote.text) {
-      // nothing selected or extraction failed; nothing to do
-      return;
-    }
+// ---------- context menus ----------
+// Menu ids: "hl-with:<color>" highlights the selection, "hl-recolor:<color>"
+// recolors the right-clicked highlight. The highlight items are always shown
+// on pages, since Chrome opens the menu before it could be updated for what
+// was clicked; the content script checks that the click was on a highlight.
+// Colors the user has labelled show their label next to the name.
 
-    // insert the span
-    const ins = await insertSpanOnPage(tab.id, color);
-    if (!ins || !ins.ok) {
-      // couldn't insert (maybe selection changed); abort
-      return;
-    }
+function createMenu(props) {
+  chrome.contextMenus.create(props, () => void chrome.runtime.lastError);
+}
+
+function colorItems(parentId, contexts, recents, labels) {
+  const titled = (title, color) => {
+    const label = HighlightTags.labelFor(labels, color);
+    return label ? title + ' — ' + label : title;
+  };
+  PALETTE.forEach(([color, name]) => {
+    createMenu({ id: parentId + ':' + color, parentId, title: titled(name, color), contexts });
+  });
+  if (!recents.length) return;
+  createMenu({ id: parentId + ':sep', parentId, type: 'separator', contexts });
+  recents.forEach(color => {
+    createMenu({ id: parentId + ':' + color + ':recent', parentId, title: titled('Recent ' + color, color), contexts });
+  });
+}
+
+async function buildContextMenus() {
+  const prefs = (await getLocal(PREF_KEY)) || {};
+  const recents = (Array.isArray(prefs.recents) ? prefs.recents : []).filter(isValidHexColor).slice(0, MAX_RECENTS);
+  const labels = HighlightTags.labels(prefs);
+  const onPage = ['page', 'link'];
+  const onSelection = ['selection'];
+
+  await new Promise(resolve => chrome.contextMenus.removeAll(resolve));
+  createMenu({ id: 'hl-with', title: 'Highlight with…', contexts: onSelection });
+  colorItems('hl-with', onSelection, recents, labels);
+  createMenu({ id: 'hl-recolor', title: 'Change color', contexts: onPage });
+  colorItems('hl-recolor', onPage, recents, labels);
+  createMenu({ id: 'hl-note', title: 'Add note', contexts: onPage });
+  createMenu({ id: 'hl-copy', title: 'Copy text', contexts: onPage });
+  createMenu({ id: 'hl-remove', title: 'Remove this highlight', contexts: onPage });
+}
+
+chrome.runtime.onInstalled.addListener(() => {
+  buildContextMenus();
+  chrome.alarms.create(PURGE_ALARM, { periodInMinutes: 24 * 60 });
+  chrome.alarms.create(SYNC_ALARM, { periodInMinutes: SYNC_PERIOD_MINUTES });
+  HighlightTrash.purgeExpired();
+  updateStorageBadge();
+});
+chrome.runtime.onStartup.addListener(() => {
+  buildContextMenus();
+  HighlightTrash.purgeExpired();
+  updateStorageBadge();
+  HighlightSync.sync();
+});
+
+// ---------- storage quota ----------
+// Highlights are never dropped to make room. Instead the toolbar badge shows
+// "!" while local storage is nearly full, and its tooltip says how full.
+
+const ACTION_TITLE = 'Simple Highlighter';
+const BADGE_DELAY_MS = 2000;
+let badgeTimer = null;
+
+async function updateStorageBadge() {
+  const usage = await HighlightStore.usage();
+  const warn = !!(usage && usage.nearlyFull);
+  const title = warn
+    ? ACTION_TITLE + ': storage is ' + Math.min(100, Math.round(usage.ratio * 100))
+      + '% full. Export and delete old highlights in the library to make room.'
+    : ACTION_TITLE;
+  await chrome.action.setBadgeText({ text: warn ? '!' : '' });
+  if (warn) await chrome.action.setBadgeBackgroundColor({ color: '#d32f2f' });
+  await chrome.action.setTitle({ title });
+}
 
-    // persist the highlight record locally (id, text, prefix, suffix, color, createdAt, updatedAt)
-    const rec = {
-      id: genId(),
-      text: quote.text,
-      prefix: quote.prefix || '',
-      suffix: quote.suffix || '',
-      color,
-      createdAt: Date.now(),
-      updatedAt: Date.now()
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area !== 'local' || !Object.keys(changes).some(HighlightStore.isHighlightKey)) return;
+  clearTimeout(badgeTimer);
+  badgeTimer = setTimeout(updateStorageBadge, BADGE_DELAY_MS);
+});
+
+// recent colors and color labels appear in the submenus
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === 'local' && changes[PREF_KEY]) {
+    const menuPrefs = prefs => {
+      const p = prefs || {};
+      return JSON.stringify([p.recents, HighlightTags.labels(p)]);
     };
+    if (menuPrefs(changes[PREF_KEY].oldValue) !== menuPrefs(changes[PREF_KEY].newValue)) buildContextMenus();
+  }
+});
 
-    try {
-      await persistHighlightForUrl(tab.url, rec);
-    } catch (e) {
-      // persist failed — best-effort; do not interrupt user
-      console.warn('persistHighlightForUrl failed', e);
-    }
+chrome.contextMenus.onClicked.addListener(async (info, tab) => {
+  if (!isWebPage(tab)) return;
+  const [menu, color] = String(info.menuItemId).split(':');
 
-    // update recents
-    try {
-      await addColorToRecents(color);
-    } catch (e) {
-      // ignore
+  try {
+    if (menu === 'hl-with' && isValidHexColor(color)) {
+      await highlightSelectionInTab(tab, color, true, info.frameId);
+    } else if (menu === 'hl-recolor' && isValidHexColor(color)) {
+      const resp = await sendToTab(tab.id, { action: 'recolorHighlight', color }, info.frameId);
+      if (resp && resp.ok) await addColorToRecents(color);
+    } else if (menu === 'hl-note') {
+      await sendToTab(tab.id, { action: 'editNote' }, info.frameId);
+    } else if (menu === 'hl-copy') {
+      await sendToTab(tab.id, { action: 'copyHighlight' }, info.frameId);
+    } else if (menu === 'hl-remove') {
+      await sendToTab(tab.id, { action: 'removeHighlight' }, info.frameId);
     }
   } catch (e) {
-    console.error('service-worker onCommand error', e);
+    console.error('service-worker contextMenus error', e);
   }
 });
+
+// ---------- URL rules ----------
+// A site's URL rule (highlight-keys.js) is changed here rather than in the
+// popup, which closes as soon as it loses focus and would leave the site's
+// entries half re-keyed. The rule is stored once the entries are written
+// under their new keys and before the old ones are removed.
+async function setSiteKeyRule(origin, rule) {
+  const prefs = (await getLocal(PREF_KEY)) || {};
+  const keyRules = HighlightKeys.withRule(prefs.keyRules, origin, rule);
+  return HighlightKeys.migrate(keyRules, origin, async () => {
+    const latest = (await getLocal(PREF_KEY)) || {};
+    await new Promise((resolve, reject) => chrome.storage.local.set({ [PREF_KEY]: Object.assign({}, latest, { keyRules }) }, () => {
+      const err = chrome.runtime.lastError;
+      if (!err) return resolve();
+      reject(new Error(/quota/i.test(err.message || '') ? HighlightStore.FULL : err.message || 'storage_error'));
+    }));
+  });
+}
+
+chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
+  if (!msg || msg.action !== 'setSiteKeyRule' || sender.tab) return;
+  setSiteKeyRule(msg.origin, msg.rule).then(moved => sendResponse({ ok: true, moved }), e => {
+    console.error('setSiteKeyRule error', e);
+    updateStorageBadge();
+    sendResponse({ ok: false, err: e && e.message === HighlightStore.FULL ? HighlightStore.FULL : 'storage_error' });
+  });
+  return true;
+});
+
+// ---------- trash retention ----------
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === PURGE_ALARM) HighlightTrash.purgeExpired();
+});
+
+// ---------- sync ----------
+// Off until the user turns it on in the popup (highlight-sync.js). A round
+// runs shortly after highlights or prefs change, every few minutes, and when
+// the popup asks for one; sync() does nothing while sync is off.
+const SYNC_ALARM = 'sync';
+const SYNC_PERIOD_MINUTES = 5;
+const SYNC_DELAY_MS = 10000;
+let syncTimer = null;
+
+function scheduleSync(delay) {
+  clearTimeout(syncTimer);
+  syncTimer = setTimeout(() => HighlightSync.sync(), delay);
+}
+
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area !== 'local') return;
+  if (changes[HighlightSync.SETTINGS_KEY]) scheduleSync(0);
+  else if (Object.keys(changes).some(HighlightSync.isSyncedKey)) scheduleSync(SYNC_DELAY_MS);
+});
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === SYNC_ALARM) HighlightSync.sync();
+});
+
+chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
+  if (!msg || msg.action !== 'syncNow' || sender.tab) return;
+  HighlightSync.sync().then(state => sendResponse({ ok: !state.lastError, err: state.lastError, state }));
+  return true;
+});
+
+// ---------- external API ----------
+chrome.runtime.onMessageExternal.addListener((msg, sender, sendResponse) => {
+  HighlightAPI.handle(msg, sender).then(sendResponse);
+  return true;
+});
+
+chrome.runtime.onConnectExternal.addListener((port) => HighlightAPI.connect(port));
+
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === 'local') HighlightAPI.notify(changes);
+});
@@ -0,0 +1,170 @@
+// sync-server/server.js - Reference server for the extension's opt-in sync
+// (see "Sync protocol" in README.md). It keeps every item in memory and in
+// one JSON file, and is meant for running on your own machine or a small
+// trusted host. Node.js only, no dependencies:
+//
+//   node sync-server/server.js [--port 8787] [--host 127.0.0.1] [--data sync-data.json]
+//
+// Set SYNC_TOKEN to require `Authorization: Bearer <token>` on every request.
+//
+// Each item is { key, type, page, id, version, seq, updatedAt, deleted, data,
+// device }. `version` counts the item's accepted writes; `seq` is a global
+// counter, so a client asking for changes since the highest seq it has seen
+// gets every item written after that.
+
+'use strict';
+
+const http = require('http');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const MAX_BODY_BYTES = 5 * 1024 * 1024;
+const MAX_CHANGES = 500;
+const PAGE_SIZE = 500;
+const MAX_KEY_LENGTH = 4096;
+const SAVE_DELAY_MS = 500;
+
+function option(name, fallback) {
+  const i = process.argv.indexOf('--' + name);
+  return i !== -1 && process.argv[i + 1] ? process.argv[i + 1] : fallback;
+}
+
+const port = parseInt(option('port', process.env.PORT || '8787'), 10);
+const host = option('host', '127.0.0.1');
+const dataFile = path.resolve(option('data', 'sync-data.json'));
+const token = process.env.SYNC_TOKEN || '';
+
+// ---------- store ----------
+const items = new Map();
+let seq = 0;
+let saveTimer = null;
+
+function load() {
+  if (!fs.existsSync(dataFile)) return;
+  const saved = JSON.parse(fs.readFileSync(dataFile, 'utf8'));
+  (saved.items || []).forEach(item => items.set(item.key, item));
+  seq = saved.seq || 0;
+}
+
+// written to a temporary file first, so a crash never leaves half a file
+function scheduleSave() {
+  clearTimeout(saveTimer);
+  saveTimer = setTimeout(() => {
+    const tmp = dataFile + '.tmp';
+    fs.writeFileSync(tmp, JSON.stringify({ seq, items: Array.from(items.values()) }));
+    fs.renameSync(tmp, dataFile);
+  }, SAVE_DELAY_MS);
+}
+
+function validChange(change) {
+  if (!change || typeof change !== 'object') return false;
+  if (typeof change.key !== 'string' || !change.key || change.key.length > MAX_KEY_LENGTH) return false;
+  if (change.type !== 'record' && change.type !== 'prefs') return false;
+  if (!Number.isFinite(change.updatedAt)) return false;
+  if (change.deleted === true) return true;
+  return !!change.data && typeof change.data === 'object';
+}
+
+// A write based on an older version than the stored one is a conflict: the
+// copy with the later updatedAt wins, and on a tie the stored copy stays.
+function applyChange(change, device) {
+  const current = items.get(change.key);
+  const base = Number.isInteger(change.baseVersion) ? change.baseVersion : 0;
+  if (current && current.version > base && !(change.updatedAt > current.updatedAt)) {
+    return { key: change.key, applied: false, version: current.version };
+  }
+  const item = {
+    key: change.key,
+    type: change.type,
+    page: typeof change.page === 'string' ? change.page : undefined,
+    id: typeof change.id === 'string' ? change.id : undefined,
+    version: (current ? current.version : 0) + 1,
+    seq: ++seq,
+    updatedAt: change.updatedAt,
+    deleted: change.deleted === true,
+    data: change.deleted === true ? null : change.data,
+    device: typeof device === 'string' ? device.slice(0, 100) : ''
+  };
+  items.set(item.key, item);
+  return { key: item.key, applied: true, version: item.version };
+}
+
+function changesSince(since) {
+  const newer = Array.from(items.values()).filter(item => item.seq > since).sort((a, b) => a.seq - b.seq);
+  const changes = newer.slice(0, PAGE_SIZE);
+  return {
+    cursor: changes.length ? changes[changes.length - 1].seq : Math.max(since, 0),
+    more: newer.length > changes.length,
+    changes
+  };
+}
+
+// ---------- http ----------
+function send(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' });
+  res.end(JSON.stringify(body));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new Error('too_large'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+// compared in constant time, so response timing does not give the token away
+function authorized(req) {
+  if (!token) return true;
+  const given = Buffer.from(String(req.headers.authorization || ''));
+  const wanted = Buffer.from('Bearer ' + token);
+  return given.length === wanted.length && crypto.timingSafeEqual(given, wanted);
+}
+
+async function handle(req, res) {
+  const url = new URL(req.url, 'http://localhost');
+  if (!authorized(req)) return send(res, 401, { error: 'unauthorized' });
+  if (url.pathname !== '/v1/changes') return send(res, 404, { error: 'not_found' });
+
+  if (req.method === 'GET') {
+    const since = parseInt(url.searchParams.get('since') || '0', 10);
+    return send(res, 200, changesSince(Number.isFinite(since) ? since : 0));
+  }
+  if (req.method === 'POST') {
+    let body;
+    try {
+      body = JSON.parse(await readBody(req));
+    } catch (e) {
+      return send(res, e.message === 'too_large' ? 413 : 400, { error: e.message === 'too_large' ? 'too_large' : 'bad_json' });
+    }
+    const changes = body && Array.isArray(body.changes) ? body.changes : null;
+    if (!changes || changes.length > MAX_CHANGES) return send(res, 400, { error: 'bad_changes' });
+    const results = changes.map(change => (validChange(change)
+      ? applyChange(change, body.device)
+      : { key: change && change.key, applied: false, error: 'invalid' }));
+    scheduleSave();
+    return send(res, 200, { cursor: seq, results });
+  }
+  return send(res, 405, { error: 'method_not_allowed' });
+}
+
+load();
+http.createServer((req, res) => {
+  handle(req, res).catch(err => {
+    console.error(err);
+    send(res, 500, { error: 'server_error' });
+  });
+}).listen(port, host, () => {
+  console.log('Sync server on http://' + host + ':' + port + ' (data: ' + dataFile + (token ? ', token required' : '') + ')');
+});
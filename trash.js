@@ -0,0 +1,244 @@
+// trash.js - Lists the trash (see highlight-trash.js): highlights removed on
+// a page, cleared pages and library deletes, newest first. Items can be
+// restored or deleted for good one at a time or in bulk, and the retention
+// period is set here. A label or tag filter narrows the list (and what "Select
+// all" selects) to items holding matching highlights. Text is rendered with
+// textContent only.
+
+const PREF_KEY = 'highlighter_prefs_v1';
+
+const itemsContainer = document.getElementById('items');
+const summaryEl = document.getElementById('summary');
+const selectAll = document.getElementById('select-all');
+const restoreSelectedBtn = document.getElementById('restore-selected');
+const deleteSelectedBtn = document.getElementById('delete-selected');
+const retentionInput = document.getElementById('retention');
+const tagFilter = document.getElementById('tag-filter');
+const msgEl = document.getElementById('msg');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let items = [];
+let visible = [];
+let colorLabels = {};
+const selected = new Set();
+
+// ---------- utilities ----------
+function showMsg(text, isError = true) {
+  if (!msgEl) return;
+  msgEl.textContent = text || '';
+  msgEl.style.color = isError ? 'red' : 'green';
+  if (text) setTimeout(() => { msgEl.textContent = ''; }, 5000);
+}
+
+function isValidHexColor(c) {
+  return /^#([0-9A-Fa-f]{3}|[0-9A-Fa-f]{6})$/.test(c);
+}
+
+function storageGet(key) {
+  return new Promise((resolve) => {
+    chrome.storage.local.get(key, (obj) => resolve(obj[key]));
+  });
+}
+function storageSet(obj) {
+  return new Promise((resolve) => {
+    chrome.storage.local.set(obj, () => resolve());
+  });
+}
+
+function plural(n, word) {
+  return n + ' ' + word + (n === 1 ? '' : 's');
+}
+
+// ---------- retention ----------
+async function loadRetention() {
+  const prefs = (await storageGet(PREF_KEY)) || {};
+  colorLabels = HighlightTags.labels(prefs);
+  retentionInput.value = HighlightTrash.retentionDays(prefs);
+  return Number(retentionInput.value);
+}
+
+async function saveRetention() {
+  const days = Math.round(Number(retentionInput.value));
+  if (!(days >= 1 && days <= HighlightTrash.MAX_RETENTION_DAYS)) {
+    showMsg('Keep items between 1 and ' + HighlightTrash.MAX_RETENTION_DAYS + ' days.');
+    loadRetention();
+    return;
+  }
+  const prefs = (await storageGet(PREF_KEY)) || {};
+  prefs.trashRetentionDays = days;
+  await storageSet({ [PREF_KEY]: prefs });
+  showMsg('Trash items are kept for ' + plural(days, 'day') + '.', false);
+  refresh();
+}
+
+// ---------- UI renderers ----------
+function renderRecord(rec) {
+  const li = document.createElement('li');
+  const chip = document.createElement('span');
+  chip.className = 'chip';
+  if (isValidHexColor(rec.color)) chip.style.backgroundColor = rec.color;
+  chip.title = HighlightTags.labelFor(colorLabels, rec.color) || rec.color || '';
+  const body = document.createElement('div');
+  const text = document.createElement('div');
+  text.className = 'text';
+  text.textContent = rec.text || '';
+  body.appendChild(text);
+  const details = HighlightTags.describe(rec, colorLabels);
+  if (details) {
+    const tags = document.createElement('div');
+    tags.className = 'tags';
+    tags.textContent = details;
+    body.appendChild(tags);
+  }
+  if (rec.note) {
+    const note = document.createElement('div');
+    note.className = 'note';
+    note.textContent = rec.note;
+    body.appendChild(note);
+  }
+  li.append(chip, body);
+  return li;
+}
+
+function renderItem(item, retentionDays) {
+  const section = document.createElement('section');
+  section.className = 'item';
+
+  const head = document.createElement('div');
+  head.className = 'item-head';
+  const check = document.createElement('input');
+  check.type = 'checkbox';
+  check.checked = selected.has(item.id);
+  check.addEventListener('change', () => {
+    if (check.checked) selected.add(item.id);
+    else selected.delete(item.id);
+    updateBulkButtons();
+  });
+
+  const page = HighlightIO.parseStorageKey(item.key);
+  const title = document.createElement('div');
+  title.className = 'item-title';
+  const pageTitle = item.records.map(r => r.pageTitle).find(Boolean);
+  title.textContent = pageTitle || (page ? page.origin + page.pathname : item.key);
+  const meta = document.createElement('div');
+  meta.className = 'item-meta';
+  const daysLeft = Math.max(0, Math.ceil((item.deletedAt + retentionDays * DAY_MS - Date.now()) / DAY_MS));
+  meta.textContent = (HighlightTrash.REASONS[item.reason] || 'Deleted') + ' · '
+    + new Date(item.deletedAt).toLocaleString() + ' · ' + plural(item.records.length, 'highlight')
+    + ' · deleted for good in ' + plural(daysLeft, 'day')
+    + (page ? ' · ' + page.origin + page.pathname : '');
+  title.appendChild(meta);
+
+  const restore = document.createElement('button');
+  restore.textContent = 'Restore';
+  restore.title = 'Put these highlights back on their page';
+  restore.addEventListener('click', () => restoreItems([item.id]));
+  const del = document.createElement('button');
+  del.className = 'danger';
+  del.textContent = 'Delete';
+  del.title = 'Delete for good';
+  del.addEventListener('click', () => deleteItems([item.id]));
+
+  head.append(check, title, restore, del);
+  section.appendChild(head);
+
+  const list = document.createElement('ul');
+  list.className = 'highlights';
+  item.shown.forEach(rec => list.appendChild(renderRecord(rec)));
+  section.appendChild(list);
+  return section;
+}
+
+function updateBulkButtons() {
+  const count = visible.filter(item => selected.has(item.id)).length;
+  restoreSelectedBtn.disabled = !count;
+  deleteSelectedBtn.disabled = !count;
+  selectAll.checked = !!visible.length && count === visible.length;
+  selectAll.indeterminate = count > 0 && count < visible.length;
+}
+
+// items with at least one highlight matching the label or tag filter; each
+// item lists only its matching highlights
+function filterItems() {
+  const records = [];
+  items.forEach(item => records.push(...item.records));
+  const filter = HighlightTags.fillFilterSelect(tagFilter, HighlightTags.filterOptions(records, colorLabels));
+  return items
+    .map(item => Object.assign({}, item, { shown: item.records.filter(r => HighlightTags.matches(r, filter, colorLabels)) }))
+    .filter(item => item.shown.length);
+}
+
+function render(retentionDays) {
+  itemsContainer.innerHTML = '';
+  visible = filterItems();
+  // selections hidden by the filter are dropped so bulk actions only touch what is shown
+  const shownIds = new Set(visible.map(item => item.id));
+  selected.forEach(id => { if (!shownIds.has(id)) selected.delete(id); });
+  const total = items.reduce((n, item) => n + item.records.length, 0);
+  const shown = visible.reduce((n, item) => n + item.shown.length, 0);
+  summaryEl.textContent = !items.length ? ''
+    : shown < total ? 'Showing ' + shown + ' of ' + plural(total, 'highlight')
+    : plural(total, 'highlight') + ' in ' + plural(items.length, 'item');
+  if (!visible.length) {
+    const empty = document.createElement('div');
+    empty.className = 'empty';
+    empty.textContent = items.length ? 'Nothing in the trash matches this filter.' : 'The trash is empty.';
+    itemsContainer.appendChild(empty);
+  }
+  visible.forEach(item => itemsContainer.appendChild(renderItem(item, retentionDays)));
+  updateBulkButtons();
+}
+
+async function refresh() {
+  const retentionDays = await loadRetention();
+  items = await HighlightTrash.list();
+  const ids = new Set(items.map(item => item.id));
+  selected.forEach(id => { if (!ids.has(id)) selected.delete(id); });
+  render(retentionDays);
+}
+
+// ---------- actions ----------
+async function restoreItems(ids) {
+  let stats;
+  try {
+    stats = await HighlightTrash.restore(ids);
+  } catch (e) {
+    if (e.message !== HighlightStore.FULL) throw e;
+    showMsg('Storage is full: the items stay in the trash. Delete old highlights to make room.', true);
+    return;
+  }
+  let text = 'Restored ' + plural(stats.restored, 'highlight') + '.';
+  if (stats.skipped) text += ' ' + stats.skipped + ' already on their page.';
+  showMsg(text, false);
+}
+
+async function deleteItems(ids) {
+  if (!ids.length) return;
+  const count = items.filter(item => ids.indexOf(item.id) !== -1).reduce((n, item) => n + item.records.length, 0);
+  if (!confirm('Delete ' + plural(count, 'highlight') + ' for good? This cannot be undone.')) return;
+  await HighlightTrash.remove(ids);
+}
+
+// ---------- event handlers ----------
+selectAll.addEventListener('change', () => {
+  visible.forEach(item => {
+    if (selectAll.checked) selected.add(item.id);
+    else selected.delete(item.id);
+  });
+  render(Number(retentionInput.value));
+});
+
+restoreSelectedBtn.addEventListener('click', () => restoreItems(Array.from(selected)));
+deleteSelectedBtn.addEventListener('click', () => deleteItems(Array.from(selected)));
+document.getElementById('empty').addEventListener('click', () => deleteItems(items.map(item => item.id)));
+retentionInput.addEventListener('change', saveRetention);
+tagFilter.addEventListener('change', () => render(Number(retentionInput.value)));
+
+// keep the list current after restores here and deletes in other tabs
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === 'local' && changes[HighlightTrash.TRASH_KEY]) refresh();
+});
+
+// ---------- init ----------
+refresh();